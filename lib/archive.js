@@ -0,0 +1,239 @@
+// Archive expansion for uploads: .zip, .tar, .tar.gz / .tgz and single gzipped
+// files (.gz), including archives nested inside archives up to ARCHIVE_MAX_DEPTH
+// levels. Decompression runs on the zlib thread pool, off the event loop.
+// Everything is read in memory against one budget per uploaded archive, so a
+// zip bomb can't exhaust memory: total uncompressed bytes, entry count and
+// per-entry compression ratio are all capped. Entries that are not extracted
+// are returned in `skipped` with the reason.
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+
+const inflateRaw = util.promisify(zlib.inflateRaw);
+const gunzipAsync = util.promisify(zlib.gunzip);
+
+const ARCHIVE_MAX_DEPTH = parseInt(process.env.ARCHIVE_MAX_DEPTH, 10) || 3;
+const ARCHIVE_MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES, 10) || 500;
+const ARCHIVE_MAX_BYTES = (parseInt(process.env.ARCHIVE_MAX_MB, 10) || 200) * 1024 * 1024;
+const ARCHIVE_MAX_RATIO = 100;
+const RATIO_MIN_BYTES = 1024 * 1024; // small files (plain text) legitimately compress very well
+
+// 'zip' | 'tar' | 'tgz' | 'gz' | null
+function archiveType(name) {
+  const lower = String(name).toLowerCase();
+  if (lower.endsWith('.zip')) return 'zip';
+  if (lower.endsWith('.tar')) return 'tar';
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return 'tgz';
+  if (lower.endsWith('.gz')) return 'gz';
+  return null;
+}
+
+function formatMB(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+// Hidden files and macOS resource forks (__MACOSX/, .DS_Store, ._foo.pdf). The
+// "." of paths like "./cv.pdf" (tar czf batch.tgz .) doesn't make an entry hidden.
+function isHiddenEntry(name) {
+  return name.split('/').some(part => (part.startsWith('.') && part !== '.') || part === '__MACOSX');
+}
+
+// --- ZIP ---
+
+// Data of an AdmZip entry, inflated ourselves so the output can never exceed the
+// declared size, and refused when that size is over the ARCHIVE_MAX_MB limit
+async function readZipEntry(entry) {
+  if (entry.header.size > ARCHIVE_MAX_BYTES) throw new Error(`exceeds the ${formatMB(ARCHIVE_MAX_BYTES)} size limit`);
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === 0) return compressed;
+  if (entry.header.method !== 8) throw new Error(`unsupported compression method ${entry.header.method}`);
+  try {
+    return await inflateRaw(compressed, { maxOutputLength: Math.max(1, entry.header.size) });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('larger than its declared size');
+    throw err;
+  }
+}
+
+function zipEntries(buffer) {
+  return new AdmZip(buffer).getEntries()
+    .filter(entry => !entry.isDirectory)
+    .map(entry => ({
+      name: entry.entryName,
+      size: entry.header.size,
+      compressedSize: entry.header.compressedSize,
+      encrypted: entry.header.encrypted,
+      read: () => readZipEntry(entry),
+    }));
+}
+
+// --- TAR (ustar, with GNU long names and pax path headers) ---
+
+function readString(block, offset, length) {
+  const field = block.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function readOctal(block, offset, length) {
+  const value = parseInt(readString(block, offset, length).trim() || '0', 8);
+  if (isNaN(value)) throw new Error('invalid tar header');
+  return value;
+}
+
+function checksumOK(block) {
+  let sum = 0;
+  for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 32 : block[i];
+  return sum === readOctal(block, 148, 8);
+}
+
+function paxPath(data) {
+  for (const record of data.toString('utf8').split('\n')) {
+    const m = record.match(/^\d+ path=(.*)$/);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+function tarEntries(buffer) {
+  const entries = [];
+  let offset = 0;
+  let nextName = null; // from a preceding GNU 'L' or pax 'x' header
+
+  while (offset + 512 <= buffer.length) {
+    const block = buffer.subarray(offset, offset + 512);
+    if (block.every(b => b === 0)) break; // end-of-archive marker
+    if (!checksumOK(block)) throw new Error('invalid tar header');
+
+    const size = readOctal(block, 124, 12);
+    const type = block[156] === 0 ? '0' : String.fromCharCode(block[156]);
+    const prefix = readString(block, 257, 6) === 'ustar' ? readString(block, 345, 155) : '';
+    const dataStart = offset + 512;
+    if (dataStart + size > buffer.length) throw new Error('truncated tar archive');
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      nextName = readString(data, 0, data.length);
+    } else if (type === 'x') {
+      nextName = paxPath(data) || nextName;
+    } else if (type === '0' || type === '7') {
+      const name = nextName || (prefix ? `${prefix}/${readString(block, 0, 100)}` : readString(block, 0, 100));
+      entries.push({ name, size, compressedSize: size, encrypted: false, read: () => data });
+      nextName = null;
+    } else {
+      // Directories, links, devices and global pax headers carry no file content
+      nextName = null;
+    }
+  }
+  return entries;
+}
+
+async function gunzip(buffer, maxBytes) {
+  let out;
+  try {
+    out = await gunzipAsync(buffer, { maxOutputLength: Math.max(1, maxBytes) });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`exceeds the ${formatMB(ARCHIVE_MAX_BYTES)} size limit`);
+    throw err;
+  }
+  if (out.length >= RATIO_MIN_BYTES && out.length / buffer.length > ARCHIVE_MAX_RATIO) {
+    throw new Error(`suspicious compression ratio (${Math.round(out.length / buffer.length)}:1)`);
+  }
+  return out;
+}
+
+// --- Expansion ---
+
+// A .gz holds one file, named after the archive without its extension
+async function gzEntries(buffer, archiveName, ctx) {
+  const data = await gunzip(buffer, ARCHIVE_MAX_BYTES - ctx.bytes);
+  const name = path.posix.basename(archiveName).slice(0, -'.gz'.length);
+  return [{ name, size: data.length, compressedSize: buffer.length, encrypted: false, read: () => data }];
+}
+
+async function listEntries(buffer, archiveName, ctx) {
+  const type = archiveType(archiveName);
+  if (type === 'zip') return zipEntries(buffer);
+  if (type === 'tgz') return tarEntries(await gunzip(buffer, ARCHIVE_MAX_BYTES - ctx.bytes));
+  if (type === 'gz') return gzEntries(buffer, archiveName, ctx);
+  return tarEntries(buffer);
+}
+
+async function expand(buffer, archiveName, archivePath, depth, ctx) {
+  const skip = (name, reason) => ctx.skipped.push({ name, reason });
+
+  let entries;
+  try {
+    entries = await listEntries(buffer, archiveName, ctx);
+  } catch (err) {
+    if (depth === 0) throw err;
+    return skip(archivePath, `Unreadable archive: ${err.message}`);
+  }
+
+  for (const entry of entries) {
+    if (ctx.stopped) return;
+    const entryPath = archivePath ? `${archivePath}/${entry.name}` : entry.name;
+    const name = path.posix.basename(entry.name);
+
+    if (++ctx.entries > ARCHIVE_MAX_ENTRIES) {
+      ctx.stopped = true;
+      return skip(entryPath, `Entry limit reached (${ARCHIVE_MAX_ENTRIES} per archive); remaining entries were not read`);
+    }
+    if (isHiddenEntry(entry.name)) {
+      skip(entryPath, 'Hidden or system file');
+      continue;
+    }
+
+    const nested = archiveType(name);
+    if (!nested && !ctx.accept(name)) {
+      skip(entryPath, `Unsupported file type (${path.extname(name).toLowerCase() || 'no extension'})`);
+      continue;
+    }
+    if (nested && depth + 1 > ARCHIVE_MAX_DEPTH) {
+      skip(entryPath, `Nested more than ${ARCHIVE_MAX_DEPTH} archives deep`);
+      continue;
+    }
+    if (entry.encrypted) {
+      skip(entryPath, 'Encrypted entry');
+      continue;
+    }
+    if (ctx.bytes + entry.size > ARCHIVE_MAX_BYTES) {
+      skip(entryPath, `Exceeds the ${formatMB(ARCHIVE_MAX_BYTES)} total uncompressed size limit`);
+      continue;
+    }
+    if (entry.size >= RATIO_MIN_BYTES && entry.size / Math.max(1, entry.compressedSize) > ARCHIVE_MAX_RATIO) {
+      skip(entryPath, `Suspicious compression ratio (${Math.round(entry.size / Math.max(1, entry.compressedSize))}:1)`);
+      continue;
+    }
+
+    let data;
+    try {
+      data = await entry.read();
+    } catch (err) {
+      skip(entryPath, `Could not read entry: ${err.message}`);
+      continue;
+    }
+    ctx.bytes += data.length;
+
+    if (nested) {
+      await expand(data, name, entryPath, depth + 1, ctx);
+    } else {
+      ctx.files.push({ name, path: entryPath, data });
+    }
+  }
+}
+
+// Expand an uploaded archive. `accept(filename)` decides which entries are wanted.
+// Returns { files: [{ name, path, data }], skipped: [{ name, reason }] } where
+// `path` is the location inside the archive (e.g. "batch2.zip/cv.pdf").
+// Rejects if the top-level archive itself can't be read.
+async function extractArchive(filePath, originalName, { accept }) {
+  const ctx = { accept, files: [], skipped: [], entries: 0, bytes: 0, stopped: false };
+  await expand(await fs.promises.readFile(filePath), originalName, '', 0, ctx);
+  return { files: ctx.files, skipped: ctx.skipped };
+}
+
+module.exports = { archiveType, extractArchive, readZipEntry };
@@ -0,0 +1,148 @@
+// Deterministic contact extraction from resume text: emails, phones (E.164),
+// LinkedIn / GitHub / portfolio URLs, city + country and, when it can be told
+// from the header or email address, the candidate's name.
+const { findPhoneNumbersInText, getCountries } = require('libphonenumber-js');
+
+const DEFAULT_PHONE_COUNTRY = (process.env.PHONE_DEFAULT_COUNTRY || 'US').toUpperCase();
+const HEADER_LINES = 10;
+const MAX_PHONES = 3;
+
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s,;|<>()"']+|\b(?:[a-z]{2,3}\.)?(?:linkedin\.com|github\.com)\/[^\s,;|<>()"']+/gi;
+const LINKEDIN_RE = /linkedin\.com\/(in|pub)\/([^/?#\s]+)/i;
+const GITHUB_RE = /github\.com\/([A-Za-z0-9-]+)/i;
+const GITHUB_RESERVED = new Set(['about', 'features', 'orgs', 'topics', 'marketplace', 'pricing', 'settings', 'login', 'join', 'sponsors']);
+
+const US_STATES = new Set(('AL AK AZ AR CA CO CT DE FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ NM NY NC ND OH OK ' +
+  'OR PA RI SC SD TN TX UT VT VA WA WV WI WY DC PR').split(' '));
+
+// Country names (English plus the languages our candidates most often write in) -> ISO code
+const COUNTRY_CODES = (() => {
+  const map = new Map([['usa', 'US'], ['us', 'US'], ['u.s.', 'US'], ['u.s.a.', 'US'], ['united states of america', 'US'],
+    ['uk', 'GB'], ['u.k.', 'GB'], ['england', 'GB'], ['scotland', 'GB'], ['wales', 'GB'], ['northern ireland', 'GB'], ['uae', 'AE']]);
+  for (const locale of ['en', 'es', 'pt', 'de', 'fr', 'it', 'nl']) {
+    const names = new Intl.DisplayNames([locale], { type: 'region' });
+    for (const code of getCountries()) {
+      const name = names.of(code);
+      if (name && name !== code && !map.has(name.toLowerCase())) map.set(name.toLowerCase(), code);
+    }
+  }
+  return map;
+})();
+
+const NOT_A_NAME = /\b(resume|résumé|curriculum|vitae|cv|profile|contact|summary|objective|experience|portfolio|page|confidential|address|phone|email)\b/i;
+const ROLE_WORDS = /\b(engineer|developer|manager|director|analyst|consultant|specialist|designer|architect|intern|assistant|associate|officer|coordinator|administrator|scientist|technician|executive|founder|accountant|nurse|teacher|recruiter|advisor|programmer|researcher|senior|junior)\b/i;
+const GENERIC_MAILBOXES = new Set(['info', 'contact', 'hello', 'hi', 'mail', 'email', 'jobs', 'job', 'careers', 'hr', 'admin', 'office', 'me', 'resume', 'cv']);
+
+function titleCase(word) {
+  return word.toLowerCase().replace(/(^|[-'’])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+}
+
+function unique(values) {
+  return Array.from(new Set(values));
+}
+
+// "JANE DOE" / "Jane Doe" / "Jane M. Doe" -> "Jane Doe"-style name, else null
+function plausibleName(line) {
+  if (!line) return null;
+  const text = line.replace(/\s+/g, ' ').trim();
+  if (text.length > 50 || /\d|@|\//.test(text) || NOT_A_NAME.test(text) || ROLE_WORDS.test(text)) return null;
+  const words = text.split(' ');
+  if (words.length < 2 || words.length > 4) return null;
+  if (!words.every(w => /^\p{Lu}[\p{L}'’.-]*$/u.test(w))) return null;
+  const allCaps = text === text.toUpperCase();
+  return words.map(w => (allCaps && w.length > 2 ? titleCase(w) : w)).join(' ');
+}
+
+// "jane.doe@…" / "jane_doe@…" -> "Jane Doe"
+function nameFromEmail(email) {
+  const local = (email || '').split('@')[0].toLowerCase().replace(/\d+$/, '');
+  if (GENERIC_MAILBOXES.has(local)) return null;
+  const parts = local.split(/[._-]/).filter(Boolean);
+  if (parts.length < 2 || parts.length > 3 || !parts.every(p => /^[a-z]{2,}$/.test(p))) return null;
+  return parts.map(titleCase).join(' ');
+}
+
+function countryCode(text) {
+  return COUNTRY_CODES.get(text.trim().toLowerCase().replace(/\s+/g, ' ')) || null;
+}
+
+// "Boston, MA 02115" / "Berlin, Germany" / "São Paulo, SP, Brasil" / "Spain"
+function parseLocation(segment) {
+  const parts = segment.replace(/^(location|address|based in|city)\s*:?\s*/i, '').split(',').map(p => p.trim()).filter(Boolean);
+  if (parts.length === 0 || parts.length > 4) return null;
+
+  let country = countryCode(parts[parts.length - 1]);
+  if (country) parts.pop();
+
+  let region = null;
+  const state = parts.length > 0 && parts[parts.length - 1].match(/^([A-Z]{2})(?:\s+\d{5}(?:-\d{4})?)?$/);
+  if (state && (US_STATES.has(state[1]) || country)) {
+    region = state[1];
+    if (!country) country = 'US';
+    parts.pop();
+  }
+  if (!country) return null;
+
+  const cityPart = parts[parts.length - 1];
+  const city = cityPart && /^\p{Lu}[\p{L} .'’-]{1,40}$/u.test(cityPart) ? cityPart : null;
+  return { city, region, country };
+}
+
+function findLocation(headerLines) {
+  for (const line of headerLines) {
+    for (const segment of line.split(/\s*[|•·●▪]\s*|\t|\s{3,}|\s+[-–—]\s+/)) {
+      if (!segment || segment.includes('@') || /https?:|www\./i.test(segment)) continue;
+      const location = parseLocation(segment);
+      if (location) return location;
+    }
+  }
+  return null;
+}
+
+function classifyUrls(text) {
+  let linkedin = null;
+  let github = null;
+  const websites = [];
+  for (const raw of text.match(URL_RE) || []) {
+    const url = raw.replace(/[).,]+$/, '');
+    const li = url.match(LINKEDIN_RE);
+    const gh = url.match(GITHUB_RE);
+    if (li) {
+      if (!linkedin) linkedin = `https://www.linkedin.com/${li[1].toLowerCase()}/${li[2]}`;
+    } else if (gh && !GITHUB_RESERVED.has(gh[1].toLowerCase())) {
+      if (!github) github = `https://github.com/${gh[1]}`;
+    } else if (!/linkedin\.com|github\.com/i.test(url)) {
+      websites.push(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+    }
+  }
+  return { linkedin, github, websites: unique(websites).slice(0, 3) };
+}
+
+// Returns { name, emails, phones, linkedin, github, websites, location }.
+// `headerName` is the parser's guess from the header, `senderName` the email
+// sender's display name; both are only used when they look like a real name.
+function extractContact(rawText, { headerName = null, senderName = null } = {}) {
+  const text = rawText || '';
+  const headerLines = text.split('\n').map(l => l.trim()).filter(Boolean).slice(0, HEADER_LINES);
+
+  const emails = unique((text.match(EMAIL_RE) || []).map(e => e.toLowerCase().replace(/^mailto:/, '')));
+
+  const phones = unique(findPhoneNumbersInText(text, { defaultCountry: DEFAULT_PHONE_COUNTRY, extended: true })
+    .filter(p => p.number.isPossible())
+    .map(p => p.number.number))
+    .slice(0, MAX_PHONES);
+
+  const name = plausibleName(senderName) || plausibleName(headerName) ||
+    headerLines.slice(0, 3).map(plausibleName).find(Boolean) || nameFromEmail(emails[0]) || null;
+
+  return { name, emails, phones, ...classifyUrls(text), location: findLocation(headerLines) };
+}
+
+// "Boston, MA, US"
+function formatLocation(location) {
+  if (!location) return '';
+  return [location.city, location.region, location.country].filter(Boolean).join(', ');
+}
+
+module.exports = { extractContact, formatLocation };
@@ -0,0 +1,71 @@
+// Email message ingestion (.eml / Outlook .msg).
+// Both formats are normalized to:
+//   { from: { address, name }, subject, date, body, attachments: [{ filename, content }] }
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { simpleParser } = require('mailparser');
+const MsgReader = require('@kenjiuno/msgreader').default;
+
+const EMAIL_EXTENSIONS = ['.eml', '.msg'];
+
+function htmlToText(html) {
+  const $ = cheerio.load(html);
+  $('script, style').remove();
+  $('br').replaceWith('\n');
+  $('p, div, li, tr, h1, h2, h3, h4, h5, h6').each((i, el) => { $(el).append('\n'); });
+  return $('body').text().replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Attachment names come from the sender — never trust them as paths
+function safeFilename(name, fallback) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/')).replace(/[\x00-\x1f]/g, '').trim();
+  return base || fallback;
+}
+
+async function parseEml(filePath) {
+  const mail = await simpleParser(fs.readFileSync(filePath));
+  const sender = (mail.from && mail.from.value && mail.from.value[0]) || {};
+  return {
+    from: { address: sender.address ? sender.address.toLowerCase() : null, name: sender.name || null },
+    subject: mail.subject || null,
+    date: mail.date ? mail.date.toISOString() : null,
+    body: (mail.text || (mail.html ? htmlToText(mail.html) : '')).trim(),
+    attachments: (mail.attachments || [])
+      .filter(a => a.contentDisposition !== 'inline' || a.filename)
+      .map((a, i) => ({ filename: safeFilename(a.filename, `attachment-${i + 1}`), content: a.content })),
+  };
+}
+
+function parseMsg(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const reader = new MsgReader(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  const data = reader.getFileData();
+  if (data.error) throw new Error(`Invalid MSG file: ${data.error}`);
+
+  const address = data.senderSmtpAddress || (data.senderEmail && data.senderEmail.includes('@') ? data.senderEmail : null);
+  const sentAt = data.clientSubmitTime || data.messageDeliveryTime;
+  const attachments = [];
+  (data.attachments || []).forEach((att, i) => {
+    if (att.innerMsgContent) return; // forwarded messages embedded as attachments are not unpacked
+    const file = reader.getAttachment(att);
+    attachments.push({ filename: safeFilename(file.fileName || att.fileName, `attachment-${i + 1}`), content: Buffer.from(file.content) });
+  });
+
+  return {
+    from: { address: address ? address.toLowerCase() : null, name: data.senderName || null },
+    subject: data.subject || null,
+    date: sentAt && !isNaN(Date.parse(sentAt)) ? new Date(sentAt).toISOString() : null,
+    body: (data.body || (data.bodyHtml ? htmlToText(data.bodyHtml) : '')).trim(),
+    attachments,
+  };
+}
+
+async function parseEmailFile(filePath, originalName) {
+  const ext = path.extname(originalName).toLowerCase();
+  if (ext === '.eml') return parseEml(filePath);
+  if (ext === '.msg') return parseMsg(filePath);
+  throw new Error(`Unsupported email type: ${ext}`);
+}
+
+module.exports = { EMAIL_EXTENSIONS, parseEmailFile };
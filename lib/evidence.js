@@ -0,0 +1,74 @@
+// Evidence quotes: the model backs each criterion score with verbatim quotes from
+// the resume. Quotes are located in the resume text so the viewer can highlight
+// them; matching tolerates differences in whitespace, case, quote marks and
+// dashes, since models rarely reproduce those exactly.
+const MAX_QUOTES = 3;
+const MIN_QUOTE_LENGTH = 4;
+
+const CHAR_FOLDS = { '‘': "'", '’': "'", '‚': "'", '′': "'", '“': '"', '”': '"', '„': '"', '″': '"', '–': '-', '—': '-', '‐': '-', '‑': '-', '−': '-', '…': '.' };
+
+// Normalized text plus, for each normalized character, its offset in the original
+function normalize(text) {
+  let out = '';
+  const map = [];
+  let pendingSpace = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      pendingSpace = out.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      out += ' ';
+      map.push(i);
+      pendingSpace = false;
+    }
+    out += (CHAR_FOLDS[ch] || ch).toLowerCase();
+    map.push(i);
+  }
+  return { text: out, map };
+}
+
+// { start, end } of `quote` in `text` (end exclusive), or null
+function locateQuote(text, quote, normalizedText = null) {
+  if (!text || !quote) return null;
+  const exact = text.indexOf(quote);
+  if (exact >= 0) return { start: exact, end: exact + quote.length };
+
+  const haystack = normalizedText || normalize(text);
+  // Models often trim or add trailing punctuation / ellipses
+  const needle = normalize(quote).text.replace(/^[.\s]+|[.\s]+$/g, '');
+  if (needle.length < MIN_QUOTE_LENGTH) return null;
+  const at = haystack.text.indexOf(needle);
+  if (at < 0) return null;
+  return { start: haystack.map[at], end: haystack.map[at + needle.length - 1] + 1 };
+}
+
+// Clean up the `evidence` the model returned for one criterion: up to MAX_QUOTES non-empty strings
+function cleanQuotes(evidence) {
+  if (!Array.isArray(evidence)) return [];
+  const quotes = evidence
+    .map(q => (typeof q === 'string' ? q : q && q.quote))
+    .filter(q => typeof q === 'string' && q.trim())
+    .map(q => q.trim());
+  return Array.from(new Set(quotes)).slice(0, MAX_QUOTES);
+}
+
+// Locate every criterion's quotes in `sources` ([{ source, text }], tried in order).
+// Each quote becomes { quote, source, start, end }; quotes found in none of the
+// texts keep source/start/end null and are shown unhighlighted.
+function locateEvidence(criteria, sources) {
+  const texts = sources.filter(s => s.text).map(s => ({ ...s, normalized: normalize(s.text) }));
+  return (criteria || []).map(c => ({
+    ...c,
+    evidence: cleanQuotes(c.evidence).map((quote) => {
+      for (const { source, text, normalized } of texts) {
+        const found = locateQuote(text, quote, normalized);
+        if (found) return { quote, source, ...found };
+      }
+      return { quote, source: null, start: null, end: null };
+    }),
+  }));
+}
+
+module.exports = { MAX_QUOTES, locateQuote, locateEvidence };
@@ -0,0 +1,89 @@
+// Content fingerprints for duplicate resume detection.
+// - hash:    SHA-256 of the normalized text (exact duplicates, e.g. same file re-uploaded)
+// - minhash: MinHash signature over word shingles (near duplicates, e.g. same CV
+//            exported twice or with a small edit)
+// - bands:   LSH band keys derived from the signature, indexed in MongoDB so
+//            near-duplicate candidates can be found without scanning every resume
+const crypto = require('crypto');
+
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 64;
+const BAND_ROWS = 4; // 16 bands of 4 rows — candidates from ~0.5 similarity upwards
+
+// Fixed seeds so signatures stay comparable across restarts
+const SEEDS = (() => {
+  const seeds = [];
+  let x = 0x2545f491;
+  for (let i = 0; i < NUM_HASHES * 2; i++) {
+    x = (Math.imul(x, 1103515245) + 12345) >>> 0;
+    seeds.push(x | 1);
+  }
+  return seeds;
+})();
+
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// 32-bit FNV-1a
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function shingles(words) {
+  const size = Math.min(SHINGLE_SIZE, words.length);
+  const set = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    set.add(hashString(words.slice(i, i + size).join(' ')));
+  }
+  return set;
+}
+
+function minhash(shingleSet) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const s of shingleSet) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = (Math.imul(s, SEEDS[2 * i]) + SEEDS[2 * i + 1]) >>> 0;
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+function fingerprintText(text) {
+  const normalized = normalizeText(text);
+  const words = normalized ? normalized.split(' ') : [];
+  const signature = minhash(shingles(words));
+  const bands = [];
+  for (let b = 0; b < NUM_HASHES / BAND_ROWS; b++) {
+    const rows = signature.slice(b * BAND_ROWS, (b + 1) * BAND_ROWS).join('.');
+    bands.push(`${b}:${hashString(rows).toString(36)}`);
+  }
+  return {
+    hash: crypto.createHash('sha256').update(normalized).digest('hex'),
+    minhash: signature,
+    bands,
+  };
+}
+
+// Estimated Jaccard similarity (0-1) between two MinHash signatures
+function estimateSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+module.exports = { fingerprintText, estimateSimilarity, normalizeText };
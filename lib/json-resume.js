@@ -0,0 +1,128 @@
+// JSON Resume (https://jsonresume.org/schema) support.
+// The document is already structured, so it maps straight onto the profile
+// shape produced by resume-parser.js. A plain-text rendering is still produced
+// because scoring and cleaning work on raw_text.
+
+function isJsonResume(doc) {
+  return !!doc && typeof doc === 'object' && !Array.isArray(doc) &&
+    (typeof doc.basics === 'object' || Array.isArray(doc.work) || Array.isArray(doc.education));
+}
+
+// "2019-04-01" -> "2019-04", "2019" -> "2019"
+function toMonth(date) {
+  if (!date || typeof date !== 'string') return null;
+  const m = date.match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!m) return null;
+  return m[2] ? `${m[1]}-${m[2]}` : m[1];
+}
+
+function list(value) {
+  return Array.isArray(value) ? value.filter(v => v && typeof v === 'object') : [];
+}
+
+function formatLocation(loc) {
+  if (!loc || typeof loc !== 'object') return null;
+  return [loc.city, loc.region, loc.countryCode].filter(Boolean).join(', ') || null;
+}
+
+function jsonResumeToProfile(doc) {
+  const basics = doc.basics || {};
+  const links = [basics.url, ...list(basics.profiles).map(p => p.url)].filter(Boolean);
+
+  const skills = [];
+  for (const s of list(doc.skills)) {
+    for (const item of [s.name, ...(Array.isArray(s.keywords) ? s.keywords : [])]) {
+      if (item && typeof item === 'string' && !skills.some(x => x.toLowerCase() === item.toLowerCase())) skills.push(item);
+    }
+  }
+
+  return {
+    source: 'json-resume',
+    contact: {
+      name: basics.name || null,
+      email: basics.email || null,
+      phone: basics.phone || null,
+      links,
+      location: formatLocation(basics.location),
+      headerLines: [basics.name, basics.label].filter(Boolean),
+    },
+    summary: basics.summary || null,
+    experience: list(doc.work).concat(list(doc.volunteer).map(v => ({ ...v, name: v.organization }))).map(w => ({
+      title: w.position || null,
+      employer: w.name || w.company || null,
+      location: w.location || null,
+      startDate: toMonth(w.startDate),
+      endDate: toMonth(w.endDate),
+      current: !!w.startDate && !w.endDate,
+      dates: [w.startDate, w.endDate || (w.startDate ? 'Present' : null)].filter(Boolean).join(' - '),
+      highlights: Array.isArray(w.highlights) ? w.highlights.filter(h => typeof h === 'string') : [],
+    })),
+    education: list(doc.education).map(e => ({
+      institution: e.institution || null,
+      degree: [e.studyType, e.area].filter(Boolean).join(' in ') || null,
+      field: e.area || null,
+      startDate: toMonth(e.startDate),
+      endDate: toMonth(e.endDate),
+    })),
+    certifications: list(doc.certificates).map(c => ({ name: c.name, date: toMonth(c.date), issuer: c.issuer || null }))
+      .filter(c => c.name),
+    skills,
+  };
+}
+
+// Readable text version used for scoring, cleaning and display
+function jsonResumeToText(doc) {
+  const profile = jsonResumeToProfile(doc);
+  const basics = doc.basics || {};
+  const out = [];
+
+  if (basics.name) out.push(basics.name);
+  if (basics.label) out.push(basics.label);
+  const contactLine = [profile.contact.location, basics.email, basics.phone, ...profile.contact.links].filter(Boolean).join(' | ');
+  if (contactLine) out.push(contactLine);
+
+  if (profile.summary) out.push('', 'SUMMARY', profile.summary);
+
+  if (profile.experience.length > 0) {
+    out.push('', 'EXPERIENCE');
+    for (const w of profile.experience) {
+      out.push([w.title, w.employer, w.location].filter(Boolean).join(' | ') + (w.dates ? `    ${w.dates}` : ''));
+      const summary = list(doc.work).find(x => x.name === w.employer && x.position === w.title);
+      if (summary && summary.summary) out.push(summary.summary);
+      for (const h of w.highlights) out.push(`- ${h}`);
+    }
+  }
+
+  if (profile.education.length > 0) {
+    out.push('', 'EDUCATION');
+    for (const e of profile.education) {
+      const dates = [e.startDate, e.endDate].filter(Boolean).join(' - ');
+      out.push([e.degree, e.institution].filter(Boolean).join(', ') + (dates ? `    ${dates}` : ''));
+    }
+  }
+
+  if (profile.certifications.length > 0) {
+    out.push('', 'CERTIFICATIONS');
+    for (const c of profile.certifications) out.push(`- ${c.name}${c.issuer ? `, ${c.issuer}` : ''}${c.date ? ` (${c.date})` : ''}`);
+  }
+
+  if (profile.skills.length > 0) {
+    out.push('', 'SKILLS', profile.skills.join(', '));
+  }
+
+  const projects = list(doc.projects);
+  if (projects.length > 0) {
+    out.push('', 'PROJECTS');
+    for (const p of projects) {
+      out.push([p.name, p.description].filter(Boolean).join(' - '));
+      for (const h of Array.isArray(p.highlights) ? p.highlights : []) out.push(`- ${h}`);
+    }
+  }
+
+  const languages = list(doc.languages).map(l => [l.language, l.fluency].filter(Boolean).join(' (') + (l.fluency ? ')' : ''));
+  if (languages.length > 0) out.push('', 'LANGUAGES', languages.join(', '));
+
+  return out.join('\n').trim();
+}
+
+module.exports = { isJsonResume, jsonResumeToProfile, jsonResumeToText };
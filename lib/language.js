@@ -0,0 +1,35 @@
+// Language detection for resumes and job descriptions (offline, via tinyld).
+// Contact details, URLs and numbers are stripped first — they carry no
+// language signal and skew detection on short resumes.
+const { detectAll } = require('tinyld');
+
+const MIN_DETECT_LENGTH = 40;
+const SAMPLE_LENGTH = 5000;
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+function languageName(code) {
+  try {
+    return displayNames.of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+// Returns { code (ISO 639-1), name, confidence (0-1) } or null when undetermined
+function detectLanguage(text) {
+  const sample = (text || '')
+    .substring(0, SAMPLE_LENGTH)
+    .replace(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, ' ')
+    .replace(/\b(?:https?:\/\/|www\.)\S+/gi, ' ')
+    .replace(/[\d+()[\]{}|•●▪·/\\_-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (sample.length < MIN_DETECT_LENGTH) return null;
+
+  const [best] = detectAll(sample);
+  if (!best || !best.lang) return null;
+  return { code: best.lang, name: languageName(best.lang), confidence: Math.round(best.accuracy * 100) / 100 };
+}
+
+module.exports = { detectLanguage, languageName };
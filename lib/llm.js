@@ -0,0 +1,223 @@
+// LLM provider layer. Each AI operation (name extraction, scoring, cleaning,
+// translation, JD generation) runs on a configurable provider and model:
+//
+//   LLM_PROVIDER / LLM_MODEL                  default for every operation
+//   LLM_<OPERATION>_PROVIDER / _MODEL         per-operation override, e.g. LLM_SCORE_MODEL
+//
+// Providers: `anthropic` (Messages API), `openai` (any OpenAI-compatible
+// /chat/completions endpoint, e.g. a self-hosted model) and `fake` (deterministic
+// canned responses for local testing, no network).
+const Anthropic = require('@anthropic-ai/sdk').default;
+const crypto = require('crypto');
+const { withRetry } = require('./retry');
+
+const OPERATIONS = ['name', 'score', 'clean', 'translate', 'jd'];
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  openai: 'gpt-4o-mini',
+  fake: 'fake-1',
+};
+
+const OPENAI_TIMEOUT_MS = parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+// --- Providers ---
+// complete({ model, prompt, maxTokens, schema }) resolves to { text, data, usage: { inputTokens, outputTokens } }.
+// With a `schema` ({ name, description, parameters: JSON schema }) the provider asks
+// for structured output and returns the parsed object as `data` when it has one.
+// Errors carry `status` / `headers` (HTTP) or a connection `name` / `code` so lib/retry can classify them.
+
+function anthropicProvider() {
+  const client = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    maxRetries: 0, // retried by complete() so backoff and retry-after are applied consistently
+  });
+  return {
+    async complete({ model, prompt, maxTokens, schema }) {
+      const message = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }],
+        // Structured output through a forced tool call
+        ...(schema ? {
+          tools: [{ name: schema.name, description: schema.description, input_schema: schema.parameters }],
+          tool_choice: { type: 'tool', name: schema.name },
+        } : {}),
+      });
+      const toolUse = message.content.find(b => b.type === 'tool_use');
+      return {
+        text: toolUse ? JSON.stringify(toolUse.input) : message.content.filter(b => b.type === 'text').map(b => b.text).join(''),
+        data: toolUse ? toolUse.input : null,
+        usage: { inputTokens: message.usage?.input_tokens ?? null, outputTokens: message.usage?.output_tokens ?? null },
+      };
+    },
+  };
+}
+
+function openaiProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = process.env.OPENAI_API_KEY;
+  return {
+    async complete({ model, prompt, maxTokens, schema }) {
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+          body: JSON.stringify({
+            model,
+            max_tokens: maxTokens,
+            messages: [{ role: 'user', content: prompt }],
+            ...(schema ? {
+              response_format: { type: 'json_schema', json_schema: { name: schema.name, schema: schema.parameters, strict: true } },
+            } : {}),
+          }),
+          signal: AbortSignal.timeout(OPENAI_TIMEOUT_MS),
+        });
+      } catch (err) {
+        const connErr = new Error(`Could not reach ${baseUrl}: ${err.cause?.message || err.message}`);
+        connErr.name = err.name === 'TimeoutError' ? 'APIConnectionTimeoutError' : 'APIConnectionError';
+        connErr.code = err.cause?.code;
+        throw connErr;
+      }
+
+      const body = await response.json().catch(() => null);
+      if (!response.ok) {
+        const apiErr = new Error(body?.error?.message || `${baseUrl} returned ${response.status}`);
+        apiErr.status = response.status;
+        apiErr.headers = response.headers;
+        throw apiErr;
+      }
+      const text = body?.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') throw new Error('Unexpected response from OpenAI-compatible API');
+      return {
+        text,
+        data: null,
+        usage: { inputTokens: body.usage?.prompt_tokens ?? null, outputTokens: body.usage?.completion_tokens ?? null },
+      };
+    },
+  };
+}
+
+// Deterministic stand-ins, derived from a hash of the prompt: the same input
+// always gets the same answer. The resume / title is read back out of the prompt.
+function fakeProvider() {
+  const seed = (text) => crypto.createHash('sha1').update(text).digest().readUInt32BE(0);
+  const resumeText = prompt => (prompt.split(/\nResume(?: text)?:\n/)[1] || '').trim();
+
+  const responders = {
+    name(prompt) {
+      const first = resumeText(prompt).split('\n').map(l => l.trim()).find(Boolean) || '';
+      return /^[\p{L}'’. -]{3,50}$/u.test(first) ? first : 'Unknown Candidate';
+    },
+    score(prompt) {
+      const block = (prompt.split('Scoring Criteria:\n')[1] || '').split('\n\n')[0];
+      const lines = (prompt.split('\nResume:\n')[1] || '').split('\n\nRespond with JSON')[0]
+        .split('\n').map(l => l.trim()).filter(l => l.length >= 10);
+      const criteria = block.split('\n').map(line => line.match(/"(.+)".*weight: ([\d.]+)%/)).filter(Boolean)
+        .map(([, name, weight], i) => ({
+          name,
+          weight: Number(weight),
+          score: 40 + (seed(`${prompt}#${i}`) % 56),
+          reasoning: `Fake assessment of "${name}".`,
+          evidence: lines.length > 0 ? [lines[seed(`${prompt}@${i}`) % lines.length]] : [],
+        }));
+      const total = Math.round(criteria.reduce((sum, c) => sum + c.score * c.weight / 100, 0));
+      return JSON.stringify({ criteria, total, reasoning: 'Deterministic score from the fake LLM provider.' });
+    },
+    clean: prompt => resumeText(prompt),
+    translate: prompt => resumeText(prompt),
+    jd(prompt) {
+      const title = (prompt.match(/for the role: "(.+)"/) || [])[1] || 'the role';
+      return [
+        'About the Role', `We are hiring for ${title}. This description was generated by the fake LLM provider.`, '',
+        'Responsibilities', '- Deliver high-quality work', '- Collaborate with the team', '',
+        'Requirements', '- Relevant experience', '- Strong communication skills', '',
+        'Nice-to-Have', '- Curiosity',
+      ].join('\n');
+    },
+  };
+
+  return {
+    async complete({ operation, prompt }) {
+      const text = responders[operation](prompt);
+      return { text, data: null, usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) } };
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = { anthropic: anthropicProvider, openai: openaiProvider, fake: fakeProvider };
+
+// --- Configuration ---
+
+function envFor(operation, key) {
+  return process.env[`LLM_${operation.toUpperCase()}_${key}`] || process.env[`LLM_${key}`] || null;
+}
+
+// { provider, model } an operation runs on
+function resolveOperation(operation) {
+  if (!OPERATIONS.includes(operation)) throw new Error(`Unknown LLM operation: ${operation}`);
+  const provider = (envFor(operation, 'PROVIDER') || 'anthropic').toLowerCase();
+  // A model configured for one provider makes no sense for another, so LLM_MODEL
+  // only applies when the operation uses the default provider
+  const ownProvider = !!process.env[`LLM_${operation.toUpperCase()}_PROVIDER`];
+  const model = process.env[`LLM_${operation.toUpperCase()}_MODEL`] ||
+    (ownProvider ? null : process.env.LLM_MODEL) || DEFAULT_MODELS[provider];
+  return { provider, model };
+}
+
+// Problems that would make every call fail, checked once at startup
+function configErrors() {
+  const errors = [];
+  const providers = new Set();
+  for (const operation of OPERATIONS) {
+    const { provider } = resolveOperation(operation);
+    if (!PROVIDER_FACTORIES[provider]) {
+      errors.push(`Unknown LLM provider "${provider}" for ${operation} (use anthropic, openai or fake)`);
+    }
+    providers.add(provider);
+  }
+  if (providers.has('anthropic') && !process.env.ANTHROPIC_API_KEY) {
+    errors.push('ANTHROPIC_API_KEY environment variable is not set (create a .env file with ANTHROPIC_API_KEY=your-key-here)');
+  }
+  if (providers.has('openai') && !process.env.OPENAI_BASE_URL && !process.env.OPENAI_API_KEY) {
+    errors.push('Set OPENAI_BASE_URL (self-hosted endpoint) or OPENAI_API_KEY to use the openai provider');
+  }
+  return errors;
+}
+
+// JSON from a text response, tolerating a markdown code fence around it; null if it isn't JSON
+function parseJson(text) {
+  const body = text.trim().replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```$/, '');
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
+
+const providers = {};
+function getProvider(name) {
+  if (!providers[name]) providers[name] = PROVIDER_FACTORIES[name]();
+  return providers[name];
+}
+
+// Run one operation. Retries rate limits / overload (see lib/retry); `onRetry` lets callers report waits.
+// Resolves to { text, data, provider, model, usage, latencyMs }; `data` is the structured
+// output when a `schema` was given (null if the model didn't produce valid JSON).
+// `latencyMs` is the time the successful attempt took, without retries and their waits.
+async function complete(operation, { prompt, maxTokens, schema = null }, { onRetry = null } = {}) {
+  const { provider, model } = resolveOperation(operation);
+  const impl = getProvider(provider);
+  let latencyMs = null;
+  const result = await withRetry(async () => {
+    const started = Date.now();
+    const attempt = await impl.complete({ operation, model, prompt, maxTokens, schema });
+    latencyMs = Date.now() - started;
+    return attempt;
+  }, { onRetry });
+  const data = schema ? (result.data ?? parseJson(result.text)) : null;
+  return { text: result.text.trim(), data, provider, model, usage: result.usage, latencyMs };
+}
+
+module.exports = { OPERATIONS, complete, resolveOperation, configErrors };
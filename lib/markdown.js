@@ -0,0 +1,25 @@
+// Markdown resumes: strip the syntax but keep the line structure the resume
+// parser relies on (headings, bullets and blank lines stay on their own lines).
+
+// Emphasis markers only count outside words, so underscores in email addresses
+// and identifiers (john_doe@example.com, snake_case) are kept
+const STRONG_RE = /(?<![\w*])(\*\*|__)(?!\s)(.+?)(?<!\s)\1(?![\w*])/g;
+const EMPHASIS_RE = /(?<![\w*])([*_])(?!\s)(.+?)(?<!\s)\1(?![\w*])/g;
+
+function markdownToText(md) {
+  return md
+    .replace(/```[\s\S]*?```/g, block => block.replace(/```\w*/g, ''))
+    .replace(/<[^>]+>/g, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, (m, label, url) => (url.replace(/^mailto:/, '') === label ? label : `${label} (${url})`))
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/gm, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^(\s*)[*+]\s+/gm, '$1- ')
+    .replace(STRONG_RE, '$2')
+    .replace(EMPHASIS_RE, '$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1');
+}
+
+module.exports = { markdownToText };
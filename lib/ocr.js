@@ -0,0 +1,80 @@
+// OCR fallback for scanned / image-only PDFs.
+// Pages are rendered with pdf.js (@napi-rs/canvas backend) and recognized with
+// tesseract.js using the bundled English model, so no network access is needed.
+const { createWorker } = require('tesseract.js');
+const engData = require('@tesseract.js-data/eng');
+
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES, 10) || 10;
+const OCR_RENDER_SCALE = 2; // ~144 DPI — good accuracy without huge bitmaps
+
+let pdfjsPromise = null;
+function loadPdfjs() {
+  // pdfjs-dist ships as ESM only
+  if (!pdfjsPromise) pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsPromise;
+}
+
+// Render the first `maxPages` pages of a PDF to PNG buffers
+async function rasterizePdf(buffer, maxPages = OCR_MAX_PAGES) {
+  const pdfjs = await loadPdfjs();
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+
+  const images = [];
+  try {
+    const pageCount = Math.min(doc.numPages, maxPages);
+    for (let i = 1; i <= pageCount; i++) {
+      const page = await doc.getPage(i);
+      const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+      const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      // White background — transparent pixels hurt recognition
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport }).promise;
+      images.push(canvas.toBuffer('image/png'));
+      page.cleanup();
+    }
+  } finally {
+    await doc.destroy();
+  }
+  return images;
+}
+
+// OCR a PDF buffer. Returns { text, confidence (0-100), pages }.
+async function ocrPdf(buffer) {
+  const images = await rasterizePdf(buffer);
+  if (images.length === 0) return { text: '', confidence: 0, pages: 0 };
+
+  const worker = await createWorker(engData.code, undefined, {
+    langPath: engData.langPath,
+    gzip: engData.gzip,
+    cacheMethod: 'none',
+  });
+
+  try {
+    const pageTexts = [];
+    let weightedConfidence = 0;
+    let totalChars = 0;
+    for (const image of images) {
+      const { data } = await worker.recognize(image);
+      const text = (data.text || '').trim();
+      pageTexts.push(text);
+      // Weight each page's confidence by how much text it produced
+      weightedConfidence += (data.confidence || 0) * text.length;
+      totalChars += text.length;
+    }
+    return {
+      text: pageTexts.join('\n\n'),
+      confidence: totalChars > 0 ? Math.round(weightedConfidence / totalChars) : 0,
+      pages: images.length,
+    };
+  } finally {
+    await worker.terminate();
+  }
+}
+
+module.exports = { ocrPdf, rasterizePdf };
@@ -0,0 +1,155 @@
+// Prompt templates. Each AI operation's prompt is a template with {{variable}}
+// placeholders; versions are stored in the database (see server.js) so wording can
+// change without a redeploy. The bodies below are the built-in defaults, stored as
+// version 1 of each prompt on first start.
+
+const PROMPTS = {
+  name: {
+    label: 'Candidate name extraction',
+    variables: ['resume'],
+    required: ['resume'],
+    // Longer inputs are cut to this many characters before rendering
+    maxLength: { resume: 2000 },
+    body: `Extract the candidate's full name from this resume. Return ONLY the name, nothing else. If you cannot determine the name, return "Unknown Candidate".
+
+Resume text:
+{{resume}}`,
+  },
+  score: {
+    label: 'Resume scoring',
+    variables: ['job_title', 'job_description', 'criteria', 'resume'],
+    // The criteria block is what the response is validated against
+    required: ['criteria', 'resume'],
+    maxLength: { resume: 50000 },
+    body: `You are an expert recruiter and resume evaluator. Score the following resume against the provided job description using the weighted criteria below.
+
+Job Title: {{job_title}}
+
+Job Description:
+{{job_description}}
+
+Scoring Criteria:
+{{criteria}}
+
+Resume:
+{{resume}}
+
+Respond with JSON in EXACTLY this format (no markdown, no code blocks):
+{
+  "criteria": [
+    { "name": "<criterion name>", "weight": <weight>, "score": <0-100>, "reasoning": "<1-2 sentences>", "evidence": ["<verbatim quote from the resume>"] }
+  ],
+  "total": <weighted total score 0-100>,
+  "reasoning": "<2-4 sentences overall assessment>"
+}
+
+Include every criterion listed above exactly once, with its exact name and weight, and no others. Score each criterion independently from 0 to 100.
+
+For each criterion, "evidence" lists up to 3 short passages (a phrase or a sentence) that support the score, copied character for character from the resume — do not paraphrase, summarize or combine passages. Use an empty list if the resume contains nothing relevant to the criterion. The "total" must be the weighted average of all criterion scores (sum of score*weight/100).
+
+Score guidelines per criterion:
+- 90-100: Excellent match for this criterion
+- 70-89: Strong match
+- 50-69: Moderate match
+- 30-49: Weak match
+- 0-29: Poor match`,
+  },
+  clean: {
+    label: 'Resume cleaning',
+    variables: ['resume'],
+    required: ['resume'],
+    maxLength: {},
+    body: `You are a professional resume editor. Clean the following resume text by:
+1. Fixing all spelling errors and typos
+2. Correcting grammar and punctuation
+3. Improving sentence structure where needed
+4. Maintaining the original content, meaning, and formatting structure
+5. Do NOT add new information or remove existing content
+6. Keep section headers, dates, and factual details exactly as they are
+
+Return ONLY the cleaned resume text, nothing else (no preamble, no explanation).
+
+Resume text:
+{{resume}}`,
+  },
+  translate: {
+    label: 'Resume translation',
+    variables: ['language', 'resume'],
+    required: ['resume'],
+    maxLength: { resume: 50000 },
+    body: `You are a professional translator specializing in resumes. Translate the following resume from {{language}} into English:
+1. Translate all content faithfully — do not summarize, improve, add or remove anything
+2. Keep the original line breaks, section order and bullet structure
+3. Keep names of people, companies, schools, products and technologies as they are
+4. Keep dates, numbers, email addresses, phone numbers and URLs exactly as they are
+5. Where a degree or job title has no exact English equivalent, translate it and add the original in parentheses
+
+Return ONLY the translated resume text, nothing else (no preamble, no explanation).
+
+Resume text:
+{{resume}}`,
+  },
+  jd: {
+    label: 'Job description generation',
+    variables: ['job_title'],
+    required: ['job_title'],
+    maxLength: {},
+    body: `Generate a professional, detailed job description for the role: "{{job_title}}"
+
+Include these sections:
+- About the Role (2-3 sentence summary)
+- Responsibilities (6-8 bullet points)
+- Requirements (5-7 bullet points covering skills, experience, education)
+- Nice-to-Have (3-4 bullet points)
+
+Write in a professional but engaging tone. Use plain text with section headers and bullet points (use "- " for bullets). Do NOT use markdown formatting like ** or ##. Return ONLY the job description text, no preamble.`,
+  },
+};
+
+const PROMPT_NAMES = Object.keys(PROMPTS);
+const MAX_TEMPLATE_LENGTH = 20000;
+
+const placeholder = () => /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Variable names a template uses, in order of first use
+function templateVariables(body) {
+  return Array.from(new Set(Array.from(String(body).matchAll(placeholder()), m => m[1])));
+}
+
+// Problems with a template body for prompt `name`
+function validateTemplate(name, body) {
+  const prompt = PROMPTS[name];
+  if (typeof body !== 'string' || !body.trim()) return ['Template cannot be empty'];
+  if (body.length > MAX_TEMPLATE_LENGTH) return [`Template is longer than ${MAX_TEMPLATE_LENGTH} characters`];
+
+  const errors = [];
+  const used = templateVariables(body);
+  for (const variable of used) {
+    if (!prompt.variables.includes(variable)) {
+      errors.push(`Unknown variable {{${variable}}} (available: ${prompt.variables.map(v => `{{${v}}}`).join(', ')})`);
+    }
+  }
+  for (const variable of prompt.required) {
+    if (!used.includes(variable)) errors.push(`Template must include {{${variable}}}`);
+  }
+  return errors;
+}
+
+// Fill in a template. Values are inserted as-is (placeholders inside them are not
+// expanded) and cut to the prompt's maxLength.
+function renderTemplate(name, body, values) {
+  const { maxLength } = PROMPTS[name];
+  return body.replace(placeholder(), (match, variable) => {
+    const value = values[variable] == null ? '' : String(values[variable]);
+    return maxLength[variable] ? value.substring(0, maxLength[variable]) : value;
+  });
+}
+
+// The {{criteria}} block of the scoring prompt
+function formatCriteria(criteria) {
+  return criteria.map((c, i) =>
+    `${i + 1}. "${c.name}" (${c.priority ? `${c.priority}, ` : ''}weight: ${c.weight}%)`
+  ).join('\n');
+}
+
+module.exports = { PROMPTS, PROMPT_NAMES, templateVariables, validateTemplate, renderTemplate, formatCriteria };
@@ -0,0 +1,147 @@
+// Blind screening: strips personal identifiers from resume text before it is
+// put into a scoring prompt. Each identifier is replaced with a typed
+// placeholder ("[NAME]", "[EMAIL]", ...) and the original values are returned
+// as a redaction map, which the server keeps and never sends to the client
+// while the candidate is anonymized.
+const { detectSection } = require('./resume-parser');
+
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s,;|]+|\b(?:linkedin\.com|github\.com)\/[^\s,;|]+/gi;
+const PHONE_RE = /\+?\(?\d[\d \t().-]{6,}\d/g;
+const STREET_RE = /\b\d{1,5}\s+(?:[A-Z][A-Za-z]*\.?\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Circle|Square|Sq|Highway|Hwy)\b\.?(?:,?\s*(?:Apt|Apartment|Suite|Unit|#)\.?\s*[\w-]+)?/g;
+const US_ZIP_RE = /\b[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/g;
+const UK_POSTCODE_RE = /\b[A-Z]{1,2}\d[A-Z\d]?\s+\d[A-Z]{2}\b/g;
+const YEAR_RE = /\b(?:19|20)\d{2}\b/g;
+const GRADUATION_YEAR_RE = /\b(class of|graduat(?:ed|ion)(?:\s+(?:in|year))?:?|expected:?)\s+((?:[A-Za-z]+\.?\s+)?(?:19|20)\d{2})\b/gi;
+const HONORIFIC_RE = /\b(?:Mr|Mrs|Ms|Miss|Mx)\.?\s+(?=[A-Z[])/g;
+const PHOTO_LINE_RE = /^\s*\[?(?:photo|picture|headshot|portrait|image)\b[^\n]{0,60}$/i;
+
+// "Label: value" lines that carry protected characteristics
+const PERSONAL_DETAILS = [
+  ['dob', /^(\s*(?:date\s+of\s+birth|d\.?o\.?b\.?|birth\s*date|born|place\s+of\s+birth)\s*[:\-–]?\s+)(.+)$/i],
+  ['age', /^(\s*age\s*[:\-–]\s*)(.+)$/i],
+  ['personal', /^(\s*(?:gender|sex|pronouns|marital\s+status|family\s+status|children|nationality|citizenship|religion|ethnicity|race|disability|sexual\s+orientation)\s*[:\-–]\s*)(.+)$/i],
+];
+
+// Gendered pronouns are swapped for neutral ones so the text still reads naturally
+const PRONOUNS = { he: 'they', she: 'they', him: 'them', his: 'their', her: 'their', hers: 'theirs', himself: 'themselves', herself: 'themselves' };
+const PRONOUN_RE = new RegExp(`\\b(${Object.keys(PRONOUNS).join('|')})\\b`, 'gi');
+
+const PLACEHOLDERS = {
+  name: '[NAME]',
+  email: '[EMAIL]',
+  phone: '[PHONE]',
+  link: '[LINK]',
+  address: '[ADDRESS]',
+  dob: '[DATE OF BIRTH]',
+  age: '[AGE]',
+  personal: '[REDACTED]',
+  year: '[YEAR]',
+  photo: '[PHOTO]',
+};
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isPhone(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return false;
+  return !/^\d{4}\s*[-–.]\s*\d{4}$/.test(match.trim()); // year range
+}
+
+// Full names ("Jane Doe") and their individual parts ("Jane", "Doe"), longest first.
+// Parts are matched case-sensitively so a surname like "Young" doesn't hit "young".
+function nameVariants(names) {
+  const full = new Set();
+  const parts = new Set();
+  for (const name of names) {
+    const clean = String(name || '').replace(/[^\p{L}\p{M}'\s.-]/gu, ' ').replace(/\s+/g, ' ').trim();
+    if (!clean || /^unknown candidate$/i.test(clean)) continue;
+    full.add(clean);
+    for (const part of clean.split(/[\s-]+/)) {
+      if (part.replace(/\./g, '').length >= 2) parts.add(part);
+    }
+  }
+  const byLength = (a, b) => b.length - a.length;
+  return [
+    ...Array.from(full).sort(byLength).map(v => ({ value: v, flags: 'giu' })),
+    ...Array.from(parts).sort(byLength).map(v => ({ value: v, flags: 'gu' })),
+  ];
+}
+
+// Redact `text`. `names` are the candidate's known names (from the model, the
+// parsed profile, the email sender). Returns { text, redactions: [{ type, value }] }.
+function redactText(text, { names = [] } = {}) {
+  const redactions = [];
+  const record = (type, value) => {
+    const trimmed = value.trim();
+    if (trimmed && !redactions.some(r => r.type === type && r.value === trimmed)) {
+      redactions.push({ type, value: trimmed });
+    }
+    return PLACEHOLDERS[type];
+  };
+
+  let section = null;
+  const lines = (text || '').split('\n').map((line) => {
+    section = detectSection(line.trim()) || section;
+
+    if (PHOTO_LINE_RE.test(line)) return record('photo', line);
+    for (const [type, re] of PERSONAL_DETAILS) {
+      const m = line.match(re);
+      if (m) return m[1] + record(type, m[2]);
+    }
+
+    // Graduation years reveal age
+    if (section === 'education') line = line.replace(YEAR_RE, y => record('year', y));
+    return line.replace(GRADUATION_YEAR_RE, (m, label, year) => `${label} ${record('year', year)}`);
+  });
+
+  let out = lines.join('\n')
+    .replace(EMAIL_RE, m => record('email', m))
+    .replace(URL_RE, m => record('link', m))
+    .replace(STREET_RE, m => record('address', m))
+    .replace(US_ZIP_RE, m => record('address', m))
+    .replace(UK_POSTCODE_RE, m => record('address', m))
+    .replace(PHONE_RE, m => (isPhone(m) ? record('phone', m) : m))
+    .replace(HONORIFIC_RE, '');
+
+  for (const { value, flags } of nameVariants(names)) {
+    const re = new RegExp(`(?<![\\p{L}\\p{M}])${escapeRegExp(value).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{M}])`, flags);
+    out = out.replace(re, m => record('name', m));
+  }
+  // Collapse "[NAME] [NAME]" left behind by separately matched name parts
+  out = out.replace(/\[NAME\](?:[\s.]+\[NAME\])+/g, '[NAME]');
+
+  out = out.replace(PRONOUN_RE, (m) => {
+    const neutral = PRONOUNS[m.toLowerCase()];
+    return m[0] === m[0].toUpperCase() ? neutral[0].toUpperCase() + neutral.slice(1) : neutral;
+  });
+
+  return { text: out, redactions };
+}
+
+// Anonymized copy of a parsed profile (see resume-parser.js) for the detail page
+function redactProfile(profile, { names = [] } = {}) {
+  if (!profile) return null;
+  const redact = value => (value ? redactText(value, { names }).text : value);
+  return {
+    ...profile,
+    contact: { name: null, email: null, phone: null, links: [], location: null, headerLines: [] },
+    summary: redact(profile.summary),
+    experience: (profile.experience || []).map(e => ({ ...e, highlights: (e.highlights || []).map(redact) })),
+    education: (profile.education || []).map(e => ({ ...e, startDate: null, endDate: null })),
+  };
+}
+
+// The blind-screening record a resume is shown with. A view from a session uses
+// that session's evaluation. Without one (no session given, or a session or run
+// that never scored the resume) the resume stays anonymized while any session
+// still hides the candidate: `findHidden()` resolves to such an evaluation, or null.
+async function viewBlindRecord({ sessionId, evaluation, findHidden }) {
+  if (sessionId && evaluation) return evaluation.blind ?? null;
+  const hidden = await findHidden();
+  return hidden?.blind ?? evaluation?.blind ?? null;
+}
+
+module.exports = { redactText, redactProfile, viewBlindRecord };
@@ -0,0 +1,277 @@
+// Heuristic resume parser: splits extracted text into sections and pulls out
+// contact details, work history, education, certifications and skills.
+// Deterministic and offline — no AI call — so it runs on every upload.
+
+const PARSER_VERSION = 1;
+
+const SECTION_PATTERNS = [
+  ['summary', /^(professional\s+)?(summary|profile|objective|about(\s+me)?|career\s+(summary|objective)|overview)$/i],
+  ['experience', /^((professional|work|relevant|employment|career)\s+)?(experience|history|employment(\s+history)?)$|^work\s+history$|^employment$/i],
+  ['education', /^(education|academic\s+(background|history|qualifications)|education\s+(and|&)\s+training|qualifications)$/i],
+  ['certifications', /^(certifications?|licen[sc]es?(\s+(and|&)\s+certifications?)?|certifications?\s+(and|&)\s+licen[sc]es?|professional\s+certifications?|courses|training)$/i],
+  ['skills', /^((technical|core|key|professional)\s+)?(skills|competencies|expertise|proficiencies)(\s+(and|&)\s+\w+)?$|^technologies$|^tech(nical)?\s+stack$|^tools$/i],
+  ['projects', /^(projects|personal\s+projects|selected\s+projects|portfolio)$/i],
+  ['other', /^(awards|honou?rs|publications|languages|interests|hobbies|volunteer(ing)?(\s+experience)?|references|activities|affiliations)$/i],
+];
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE = `(?:${MONTH}\\s*,?\\s*\\d{4}|\\d{1,2}[/.-]\\d{4}|\\d{4})`;
+const PRESENT = '(?:present|current|now|today|ongoing)';
+const DATE_RANGE_RE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|${PRESENT})`, 'i');
+const SINGLE_DATE_RE = new RegExp(`(${DATE})`, 'i');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const TITLE_WORDS = /\b(engineer|developer|manager|director|analyst|consultant|specialist|designer|architect|lead|head|intern|assistant|associate|officer|coordinator|administrator|scientist|technician|representative|executive|president|founder|owner|supervisor|accountant|nurse|teacher|recruiter|advisor|strategist|editor|writer|programmer|researcher|vp|cto|ceo|cfo|coo)\b/i;
+const DEGREE_RE = /\b(bachelor|master|doctor|ph\.?\s?d|mba|b\.?\s?s\.?c?|m\.?\s?s\.?c?|b\.?\s?a|m\.?\s?a|b\.?\s?e(ng)?|m\.?\s?e(ng)?|b\.?\s?tech|m\.?\s?tech|associate(?:'s)?\s+(degree|of)|diploma|certificate|high\s+school|ged)\b/i;
+const INSTITUTION_RE = /\b(university|college|institute|school|academy|polytechnic|universidad|universit[äé]t|école)\b/i;
+
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_RE = /\+?\(?\d[\d\s().-]{6,}\d/g;
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s,;|]+|\b(?:linkedin\.com|github\.com)\/[^\s,;|]+/gi;
+
+const BULLET_RE = /^\s*(?:[-*•●▪◦‣∙·o]|\d+[.)])\s+/;
+
+function cleanLine(line) {
+  return line.replace(/\t/g, ' ').replace(/\s{2,}/g, ' ').trim();
+}
+
+function stripBullet(line) {
+  return line.replace(BULLET_RE, '').trim();
+}
+
+function detectSection(line) {
+  const text = line.replace(/[:\-–—|]+\s*$/, '').trim();
+  if (!text || text.length > 45) return null;
+  for (const [name, re] of SECTION_PATTERNS) {
+    if (re.test(text)) return name;
+  }
+  return null;
+}
+
+// "Jan 2019" -> "2019-01", "03/2020" -> "2020-03", "2018" -> "2018"
+function normalizeDate(raw) {
+  if (!raw) return null;
+  const text = raw.toLowerCase().trim();
+  if (new RegExp(`^${PRESENT}$`, 'i').test(text)) return null;
+  const year = (text.match(/\d{4}/) || [])[0];
+  if (!year) return null;
+  const monthName = MONTHS.findIndex(m => text.startsWith(m));
+  if (monthName >= 0) return `${year}-${String(monthName + 1).padStart(2, '0')}`;
+  const numeric = text.match(/^(\d{1,2})[/.-]\d{4}$/);
+  if (numeric && +numeric[1] >= 1 && +numeric[1] <= 12) return `${year}-${numeric[1].padStart(2, '0')}`;
+  return year;
+}
+
+function parseDateRange(line) {
+  const m = line.match(DATE_RANGE_RE);
+  if (!m) return null;
+  const current = new RegExp(`^${PRESENT}$`, 'i').test(m[2].trim());
+  return {
+    text: m[0],
+    startDate: normalizeDate(m[1]),
+    endDate: current ? null : normalizeDate(m[2]),
+    current,
+  };
+}
+
+// Split a header line such as "Senior Engineer | Acme Corp | Boston, MA"
+function splitHeader(text) {
+  return text
+    .split(/\s+[|•·]\s+|\s+[-–—]\s+|\s+at\s+|\s*,\s+(?=[A-Z][a-z])/)
+    .map(p => p.replace(/^[,|•·\-–—\s]+|[,|•·\-–—\s]+$/g, ''))
+    .filter(Boolean);
+}
+
+function splitSections(lines) {
+  const sections = { header: [] };
+  let current = 'header';
+  for (const line of lines) {
+    const section = detectSection(line);
+    if (section) {
+      current = section;
+      if (!sections[current]) sections[current] = [];
+      continue;
+    }
+    if (!sections[current]) sections[current] = [];
+    sections[current].push(line);
+  }
+  return sections;
+}
+
+// First phone-like run with a plausible digit count that isn't a year range
+function findPhone(text) {
+  for (const match of text.match(PHONE_RE) || []) {
+    const digits = match.replace(/\D/g, '');
+    if (digits.length < 7 || digits.length > 15) continue;
+    if (/^\d{4}\s*[-–.]\s*\d{4}$/.test(match.trim())) continue;
+    return match.trim();
+  }
+  return null;
+}
+
+function parseContact(headerLines, allText) {
+  const email = (allText.match(EMAIL_RE) || [])[0] || null;
+  const phone = findPhone(headerLines.join('\n')) || findPhone(allText.substring(0, 1500));
+  const links = Array.from(new Set((allText.match(URL_RE) || []).map(u => u.replace(/[).]+$/, ''))));
+
+  // First short line without contact details is usually the name
+  const name = headerLines.find(l =>
+    l.length <= 50 && !EMAIL_RE.test(l) && !findPhone(l) && !/https?:|www\.|\.com/i.test(l) && /[A-Za-z]/.test(l) &&
+    l.split(/\s+/).length <= 5
+  ) || null;
+
+  return { name, email, phone, links, headerLines: headerLines.slice(0, 8) };
+}
+
+function parseExperience(lines) {
+  const entries = [];
+  let entry = null;
+  let pending = []; // non-bullet lines seen since the last entry (may be title / employer)
+
+  for (const line of lines) {
+    const range = parseDateRange(line);
+    if (range) {
+      const rest = line.replace(range.text, '').replace(/[()]/g, ' ');
+      const parts = splitHeader(cleanLine(rest));
+      // Header parts can sit on the date line and/or on the lines right above it
+      const headerParts = [...pending.slice(-2).flatMap(splitHeader), ...parts];
+      entry = {
+        title: null, employer: null, location: null,
+        startDate: range.startDate, endDate: range.endDate, current: range.current,
+        dates: range.text, highlights: [],
+      };
+      assignTitleEmployer(entry, headerParts);
+      entries.push(entry);
+      pending = [];
+      continue;
+    }
+
+    if (BULLET_RE.test(line)) {
+      if (entry) entry.highlights.push(stripBullet(line));
+      continue;
+    }
+
+    // A plain line right after an entry header that has no employer yet is likely the employer
+    if (entry && entry.highlights.length === 0 && (!entry.employer || !entry.title) && pending.length === 0 && line.length < 80) {
+      const parts = splitHeader(line);
+      if (!entry.title && parts.some(p => TITLE_WORDS.test(p))) {
+        assignTitleEmployer(entry, [...parts, entry.employer].filter(Boolean));
+        continue;
+      }
+      if (!entry.employer) {
+        entry.employer = parts[0];
+        if (parts[1] && !entry.location) entry.location = parts[1];
+        continue;
+      }
+    }
+
+    if (entry && entry.highlights.length > 0 && line.length >= 80) {
+      entry.highlights.push(line);
+      continue;
+    }
+    pending.push(line);
+  }
+  return entries;
+}
+
+function assignTitleEmployer(entry, parts) {
+  const titleIdx = parts.findIndex(p => TITLE_WORDS.test(p));
+  if (titleIdx >= 0) {
+    entry.title = parts[titleIdx];
+    const others = parts.filter((_, i) => i !== titleIdx);
+    if (others[0]) entry.employer = others[0];
+    if (others[1]) entry.location = others[1];
+  } else {
+    if (parts[0]) entry.employer = parts[0];
+    if (parts[1]) entry.title = parts[1];
+  }
+}
+
+function parseEducation(lines) {
+  const entries = [];
+  let entry = null;
+
+  for (const raw of lines) {
+    const line = stripBullet(raw);
+    const isDegree = DEGREE_RE.test(line);
+    const isInstitution = INSTITUTION_RE.test(line);
+    const range = parseDateRange(line);
+    const single = !range && line.match(SINGLE_DATE_RE);
+
+    if (isDegree || isInstitution) {
+      // Start a new entry unless this line completes the current one
+      const completes = entry && ((isDegree && !entry.degree && !isInstitution) || (isInstitution && !entry.institution && !isDegree));
+      if (!completes) {
+        entry = { institution: null, degree: null, field: null, startDate: null, endDate: null };
+        entries.push(entry);
+      }
+      const text = cleanLine(line.replace(range ? range.text : (single ? single[0] : ''), '').replace(/[()]/g, ' '));
+      for (const part of splitHeader(text)) {
+        if (!entry.institution && INSTITUTION_RE.test(part)) entry.institution = part;
+        else if (!entry.degree && DEGREE_RE.test(part)) {
+          const fieldMatch = part.match(/\bin\s+(.+)$/i) || part.match(/\bof\s+(.+)$/i);
+          entry.degree = part;
+          if (fieldMatch && !/^(science|arts|engineering|business administration)$/i.test(fieldMatch[1])) entry.field = fieldMatch[1].trim();
+        }
+      }
+    }
+
+    if (entry) {
+      if (range) {
+        entry.startDate = range.startDate;
+        entry.endDate = range.endDate;
+      } else if (single && !entry.endDate) {
+        entry.endDate = normalizeDate(single[0]);
+      }
+    }
+  }
+  return entries;
+}
+
+function parseCertifications(lines) {
+  return lines
+    .map(stripBullet)
+    .filter(l => l.length > 2)
+    .map(l => {
+      const date = l.match(SINGLE_DATE_RE);
+      const name = cleanLine((date ? l.replace(date[0], '') : l).replace(/\(\s*\)/g, '')).replace(/[\s,(\-–—|]+$/, '');
+      return { name, date: date ? normalizeDate(date[0]) : null };
+    })
+    .filter(c => c.name);
+}
+
+function parseSkills(lines) {
+  const skills = [];
+  for (const raw of lines) {
+    // Drop "Languages:" style labels but keep what follows
+    const line = stripBullet(raw).replace(/^[A-Za-z /&]{2,30}:\s*/, '');
+    for (const item of line.split(/[,;|•·●▪]|\s{2,}|\s+\/\s+/)) {
+      const skill = item.replace(/^(and|&)\s+/i, '').replace(/[.\s]+$/, '').trim();
+      if (skill && skill.length <= 50 && !skills.some(s => s.toLowerCase() === skill.toLowerCase())) {
+        skills.push(skill);
+      }
+    }
+  }
+  return skills;
+}
+
+// Parse raw resume text into a structured profile
+function parseResume(rawText) {
+  const text = (rawText || '').replace(/\r\n?/g, '\n');
+  const lines = text.split('\n').map(cleanLine).filter(Boolean);
+  const sections = splitSections(lines);
+
+  return {
+    source: 'parser',
+    parserVersion: PARSER_VERSION,
+    contact: parseContact(sections.header || [], text),
+    summary: sections.summary ? sections.summary.join(' ') : null,
+    experience: parseExperience(sections.experience || []),
+    education: parseEducation(sections.education || []),
+    certifications: parseCertifications(sections.certifications || []),
+    skills: parseSkills(sections.skills || []),
+  };
+}
+
+module.exports = { parseResume, detectSection, PARSER_VERSION };
@@ -0,0 +1,64 @@
+// Retry for model API calls: exponential backoff with full jitter, honouring
+// the server's retry-after / retry-after-ms headers on 429 and 529 responses.
+const AI_MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES, 10);
+const MAX_RETRIES = Number.isNaN(AI_MAX_RETRIES) ? 4 : Math.max(0, AI_MAX_RETRIES);
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Rate limits, overload, server errors and dropped connections are worth retrying
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+function isRetryable(err) {
+  if (!err) return false;
+  if (err.status == null) {
+    // No HTTP response at all: network failure or timeout
+    return err.name === 'APIConnectionError' || err.name === 'APIConnectionTimeoutError' ||
+      ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'].includes(err.code);
+  }
+  return RETRYABLE_STATUS.has(err.status);
+}
+
+// Server-requested delay in ms, or null
+function retryAfterMs(err) {
+  const headers = err && err.headers;
+  if (!headers) return null;
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const ms = parseFloat(get('retry-after-ms'));
+  if (!Number.isNaN(ms)) return Math.min(ms, MAX_RETRY_AFTER_MS);
+
+  const value = get('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return Math.min(seconds * 1000, MAX_RETRY_AFTER_MS);
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.min(Math.max(0, date - Date.now()), MAX_RETRY_AFTER_MS);
+  return null;
+}
+
+function backoffMs(attempt) {
+  const cap = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `fn` until it succeeds, it throws a non-retryable error or retries run out.
+// `onRetry({ attempt, delayMs, error })` is called before each wait.
+async function withRetry(fn, { retries = MAX_RETRIES, onRetry = null } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const requested = retryAfterMs(err);
+      // A little jitter on top of retry-after keeps parallel workers from retrying in lockstep
+      const delayMs = requested != null ? requested + Math.round(Math.random() * 250) : backoffMs(attempt);
+      if (onRetry) onRetry({ attempt: attempt + 1, delayMs, error: err });
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = { withRetry, isRetryable };
@@ -0,0 +1,217 @@
+// Structured scoring output: the schema the model fills in (as a tool call /
+// JSON-schema response) and validation of what comes back against the criteria
+// that were actually requested.
+
+const PRIORITIES = ['must-have', 'nice-to-have'];
+const MAX_CRITERIA = 20;
+
+// Used when a session has no custom criteria
+const DEFAULT_CRITERIA = [
+  { name: 'Skills Match', weight: 25 },
+  { name: 'Experience Level', weight: 25 },
+  { name: 'Education', weight: 25 },
+  { name: 'Culture Fit', weight: 25 },
+];
+
+const SCORE_SCHEMA = {
+  name: 'submit_score',
+  description: 'Record the evaluation of the resume against each requested criterion.',
+  parameters: {
+    type: 'object',
+    properties: {
+      criteria: {
+        type: 'array',
+        description: 'One entry per requested criterion, using the exact criterion name and weight',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Criterion name, exactly as requested' },
+            weight: { type: 'number', description: 'Criterion weight in percent, exactly as requested' },
+            score: { type: 'integer', description: '0-100' },
+            reasoning: { type: 'string', description: '1-2 sentences' },
+            evidence: {
+              type: 'array',
+              description: 'Up to 3 short passages copied verbatim from the resume that support this score; empty if the resume has nothing relevant',
+              items: { type: 'string' },
+            },
+          },
+          required: ['name', 'weight', 'score', 'reasoning', 'evidence'],
+          additionalProperties: false,
+        },
+      },
+      total: { type: 'number', description: 'Weighted total score 0-100 (sum of score*weight/100); recomputed by the server' },
+      reasoning: { type: 'string', description: '2-4 sentences overall assessment' },
+    },
+    required: ['criteria', 'total', 'reasoning'],
+    additionalProperties: false,
+  },
+};
+
+const normalizeName = name => String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Problems with criteria sent by a client: [{ name, priority, weight }] where
+// names are unique, priority is one of PRIORITIES and integer weights sum to 100
+function validateCriteria(criteria) {
+  if (!Array.isArray(criteria)) return ['Criteria must be an array'];
+  if (criteria.length === 0) return ['At least one criterion is required'];
+  if (criteria.length > MAX_CRITERIA) return [`At most ${MAX_CRITERIA} criteria are allowed`];
+
+  const errors = [];
+  const seen = new Set();
+  criteria.forEach((c, i) => {
+    const label = c && typeof c.name === 'string' && c.name.trim() ? `"${c.name.trim()}"` : `#${i + 1}`;
+    if (!c || typeof c !== 'object') {
+      errors.push(`Criterion #${i + 1} must be an object`);
+      return;
+    }
+    if (typeof c.name !== 'string' || !c.name.trim()) {
+      errors.push(`Criterion #${i + 1} needs a name`);
+    } else if (c.name.trim().length > 100) {
+      errors.push(`Criterion ${label} has a name longer than 100 characters`);
+    } else if (seen.has(normalizeName(c.name))) {
+      errors.push(`Criterion ${label} is listed more than once`);
+    } else {
+      seen.add(normalizeName(c.name));
+    }
+    if (!PRIORITIES.includes(c.priority)) {
+      errors.push(`Criterion ${label} needs a priority of ${PRIORITIES.join(' or ')}`);
+    }
+    if (!Number.isInteger(c.weight) || c.weight < 1 || c.weight > 100) {
+      errors.push(`Criterion ${label} needs an integer weight from 1 to 100`);
+    }
+  });
+  const sum = criteria.reduce((total, c) => total + (c && Number.isInteger(c.weight) ? c.weight : 0), 0);
+  if (errors.length === 0 && sum !== 100) {
+    errors.push(`Criterion weights must add up to 100 (they add up to ${sum})`);
+  }
+  return errors;
+}
+
+// The authoritative total: weighted average of the criterion scores, rounded
+function weightedTotal(criteria) {
+  const weight = criteria.reduce((sum, c) => sum + c.weight, 0);
+  if (weight <= 0) return 0;
+  return Math.round(criteria.reduce((sum, c) => sum + c.score * c.weight, 0) / weight);
+}
+
+function isScore(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+// Check `output` against the requested criteria ([{ name, weight }]).
+// Returns { errors, value } — `value` (criteria in requested order, with the
+// requested names) is only set when there are no errors.
+function validateScoreOutput(output, requested) {
+  const errors = [];
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return { errors: ['Response is not a JSON object'], value: null };
+  }
+  if (!Array.isArray(output.criteria)) {
+    errors.push('"criteria" must be an array');
+  }
+  if (!isScore(output.total)) {
+    errors.push('"total" must be a number from 0 to 100');
+  }
+  if (typeof output.reasoning !== 'string' || !output.reasoning.trim()) {
+    errors.push('"reasoning" must be a non-empty string');
+  }
+  if (errors.length > 0) return { errors, value: null };
+
+  const byName = new Map();
+  for (const c of output.criteria) {
+    const key = c && typeof c === 'object' ? normalizeName(c.name) : '';
+    if (!key) {
+      errors.push('Every criterion needs a "name"');
+    } else if (byName.has(key)) {
+      errors.push(`Criterion "${c.name}" appears more than once`);
+    } else {
+      byName.set(key, c);
+    }
+  }
+
+  const criteria = [];
+  for (const want of requested) {
+    const got = byName.get(normalizeName(want.name));
+    if (!got) {
+      errors.push(`Missing criterion "${want.name}"`);
+      continue;
+    }
+    byName.delete(normalizeName(want.name));
+    if (Math.abs(Number(got.weight) - Number(want.weight)) > 0.01) {
+      errors.push(`Criterion "${want.name}" must have weight ${want.weight}, got ${got.weight}`);
+    }
+    if (!isScore(got.score)) {
+      errors.push(`Criterion "${want.name}" needs a score from 0 to 100`);
+    }
+    if (typeof got.reasoning !== 'string' || !got.reasoning.trim()) {
+      errors.push(`Criterion "${want.name}" needs a reasoning`);
+    }
+    if (!Array.isArray(got.evidence) || got.evidence.some(q => typeof q !== 'string')) {
+      errors.push(`Criterion "${want.name}" needs "evidence" as an array of quotes (strings)`);
+    }
+    criteria.push({ name: want.name, weight: Number(want.weight), score: got.score, reasoning: got.reasoning, evidence: got.evidence });
+  }
+  for (const extra of byName.values()) {
+    errors.push(`Unexpected criterion "${extra.name}" (only the listed criteria may be scored)`);
+  }
+
+  if (errors.length > 0) return { errors, value: null };
+  return { errors, value: { criteria, total: output.total, reasoning: output.reasoning } };
+}
+
+// Must-have criteria act as knockout gates: [{ name, score }] of those scored under `threshold`
+function failedGates(scoredCriteria, requested, threshold) {
+  const mustHave = new Set((requested || []).filter(c => c.priority === 'must-have').map(c => normalizeName(c.name)));
+  return (scoredCriteria || [])
+    .filter(c => mustHave.has(normalizeName(c.name)) && c.score < threshold)
+    .map(c => ({ name: c.name, score: c.score }));
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// Combine several scoring runs of the same resume: the median score per criterion,
+// the total recomputed from those, and the spread of the runs' totals. Medians
+// taken per criterion can add up to a total no single run reached, so the range
+// is widened to include it. Reasoning and evidence come from the run whose total
+// is closest to the combined one.
+function combineRuns(runs) {
+  if (runs.length === 1) return runs[0];
+  const criteria = runs[0].subScores.criteria.map((c, i) => {
+    const scores = runs.map(r => r.subScores.criteria[i].score);
+    return { ...c, score: median(scores), range: { min: Math.min(...scores), max: Math.max(...scores) } };
+  });
+  const total = weightedTotal(criteria);
+  const totals = runs.map(r => r.score);
+  const closest = runs.reduce((best, r) => (Math.abs(r.score - total) < Math.abs(best.score - total) ? r : best));
+
+  return {
+    score: total,
+    claimedTotal: closest.claimedTotal,
+    reasoning: closest.reasoning,
+    subScores: {
+      criteria: criteria.map((c, i) => ({
+        ...c,
+        reasoning: closest.subScores.criteria[i].reasoning,
+        evidence: closest.subScores.criteria[i].evidence,
+      })),
+      total,
+      claimedTotal: closest.claimedTotal,
+      ensemble: { runs: runs.length, totals, min: Math.min(total, ...totals), max: Math.max(total, ...totals) },
+    },
+  };
+}
+
+// { min, max, runs } of an ensemble score, null for a single run
+function scoreRange(subScores) {
+  const ensemble = subScores?.ensemble;
+  return ensemble ? { min: ensemble.min, max: ensemble.max, runs: ensemble.runs } : null;
+}
+
+module.exports = {
+  PRIORITIES, DEFAULT_CRITERIA, SCORE_SCHEMA,
+  validateCriteria, validateScoreOutput, weightedTotal, failedGates, combineRuns, scoreRange,
+};
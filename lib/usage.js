@@ -0,0 +1,51 @@
+// Token prices and the cost of a model call. Prices are USD per million tokens,
+// matched on the model name (an exact match first, then the longest matching
+// prefix, so dated and "-latest" model names share a price). Override or add
+// prices with LLM_PRICES, e.g.
+//
+//   LLM_PRICES={"claude-sonnet-4":{"input":3,"output":15},"my-local-model":{"input":0,"output":0}}
+//
+// Calls on a model without a known price are still logged, with a cost of null.
+
+const DEFAULT_PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'fake-1': { input: 0, output: 0 },
+};
+
+function loadPrices() {
+  if (!process.env.LLM_PRICES) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (err) {
+    console.error(`Ignoring LLM_PRICES: ${err.message}`);
+    return DEFAULT_PRICES;
+  }
+}
+
+const PRICES = loadPrices();
+
+// { input, output } per million tokens for `model`, or null
+function priceFor(model) {
+  if (!model) return null;
+  if (PRICES[model]) return PRICES[model];
+  const prefix = Object.keys(PRICES)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? PRICES[prefix] : null;
+}
+
+// Cost in USD of one call, or null when the model's price or the token counts are unknown
+function callCost(model, inputTokens, outputTokens) {
+  const price = priceFor(model);
+  if (!price || inputTokens == null || outputTokens == null) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+module.exports = { priceFor, callCost };
@@ -24,6 +24,7 @@ themeToggle.addEventListener('click', () => {
 let selectedFiles = [];
 let uploadedResumeIds = [];
 let currentSessionId = null;
+let currentRun = null;
 let compareSelection = new Set();
 let currentResults = [];
 
@@ -163,12 +164,40 @@ function removeFile(index) {
 }
 
 // --- Upload ---
+const uploadStatusIcons = { queued: 'schedule', extracting: null, done: 'check_circle', failed: 'error', skipped: 'block' };
+const uploadStatusLabels = { queued: 'Queued', extracting: 'Extracting...', done: 'Done', failed: 'Failed', skipped: 'Skipped' };
+
+function renderUploadProgress(items) {
+  // Archive entries are listed directly under the archive they came from
+  const known = items.filter(Boolean);
+  const ordered = [];
+  const addWithChildren = (item) => {
+    ordered.push(item);
+    known.filter((child) => child.parent === item.key).forEach(addWithChildren);
+  };
+  known.filter((item) => item.parent == null).forEach(addWithChildren);
+
+  fileListEl.innerHTML = ordered
+    .map((item) => {
+      const icon = uploadStatusIcons[item.status];
+      const label = (item.status === 'failed' || item.status === 'skipped') && item.error ? item.error : uploadStatusLabels[item.status];
+      return `<div class="file-item upload-item upload-${item.status}${item.parent != null ? ' upload-item-nested' : ''}">
+        ${icon
+          ? `<span class="material-symbols-rounded file-icon">${icon}</span>`
+          : '<span class="spinner spinner-dark" style="width:16px;height:16px;border-width:2px;"></span>'}
+        <span class="file-name" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</span>
+        <span class="file-size upload-status-label" title="${escapeHtml(label)}">${escapeHtml(label)}</span>
+      </div>`;
+    })
+    .join('');
+}
+
 uploadBtn.addEventListener('click', async () => {
   if (selectedFiles.length === 0) return;
 
   uploadBtn.disabled = true;
   uploadBtn.innerHTML = '<span class="spinner"></span> Uploading...';
-  setStatus(uploadStatus, 'Uploading and parsing files...');
+  setStatus(uploadStatus, 'Uploading files...');
 
   const formData = new FormData();
   selectedFiles.forEach((file) => formData.append('resumes', file));
@@ -178,19 +207,61 @@ uploadBtn.addEventListener('click', async () => {
       method: 'POST',
       body: formData,
     });
-    const data = await response.json();
-
-    if (!response.ok) throw new Error(data.error);
+    const batch = await response.json();
+
+    if (!response.ok) throw new Error(batch.error);
+
+    // Live per-file status while the server extracts in the background
+    const items = [];
+    const track = (file) => { items[file.key] = file; };
+    batch.files.forEach(track);
+    renderUploadProgress(items);
+    setStatus(uploadStatus, 'Extracting text...');
+
+    let uploaded = null;
+    let skipped = [];
+    const events = await authFetch(`/api/upload/${batch.batchId}/events`);
+    if (!events.ok) throw new Error('Lost track of the upload batch');
+    await readSSE(events, (data, eventType) => {
+      if (eventType === 'file') {
+        track(data);
+        renderUploadProgress(items);
+        const tracked = items.filter((i) => i && i.status !== 'skipped');
+        const finished = tracked.filter((i) => i.status === 'done' || i.status === 'failed').length;
+        setStatus(uploadStatus, `Extracting text... ${finished} of ${tracked.length} file(s) processed`);
+      } else if (eventType === 'complete') {
+        uploaded = data.uploaded;
+        skipped = data.skipped || [];
+      }
+    });
+    if (!uploaded) throw new Error('Upload stream ended unexpectedly');
 
-    uploadedResumeIds = data.uploaded.filter((r) => r.success).map((r) => r.id);
+    uploadedResumeIds = uploaded.filter((r) => r.success).map((r) => r.id);
 
-    const failures = data.uploaded.filter((r) => !r.success);
+    const failures = uploaded.filter((r) => !r.success);
+    const ocrCount = uploaded.filter((r) => r.success && r.ocr).length;
     let statusMsg = `${uploadedResumeIds.length} file(s) uploaded successfully.`;
+    if (ocrCount > 0) {
+      statusMsg += ` ${ocrCount} read via OCR (scanned) — double-check their scores.`;
+    }
+    const foreignCount = uploaded.filter((r) => r.success && r.language && r.language !== 'en').length;
+    if (foreignCount > 0) {
+      statusMsg += ` ${foreignCount} not in English — consider translating before scoring.`;
+    }
     if (failures.length > 0) {
       statusMsg += ` ${failures.length} failed: ${failures.map((f) => f.originalName).join(', ')}`;
     }
+    if (skipped.length > 0) {
+      statusMsg += ` ${skipped.length} archive entr${skipped.length === 1 ? 'y' : 'ies'} skipped.`;
+    }
 
     setStatus(uploadStatus, statusMsg, 'success');
+
+    const duplicates = uploaded.filter((r) => r.success && r.duplicate);
+    if (duplicates.length > 0) {
+      await resolveDuplicates(duplicates);
+    }
+
     processBtn.disabled = uploadedResumeIds.length === 0;
   } catch (err) {
     setStatus(uploadStatus, `Upload failed: ${err.message}`, 'error');
@@ -200,6 +271,28 @@ uploadBtn.addEventListener('click', async () => {
   }
 });
 
+// Offer to reuse already-uploaded resumes instead of scoring (and billing) the same CV twice
+async function resolveDuplicates(duplicates) {
+  const names = duplicates.map((d) => {
+    const existing = d.duplicate.candidateName || d.duplicate.originalName;
+    const kind = d.duplicate.match === 'exact' ? 'identical to' : `${Math.round(d.duplicate.similarity * 100)}% similar to`;
+    return `${d.originalName} (${kind} ${existing})`;
+  });
+  const reuse = await showConfirm(
+    `${duplicates.length} file(s) match resumes that were already uploaded:\n\n${names.join('\n')}\n\nReuse the existing records instead of creating new ones?`
+  );
+  if (!reuse) return;
+
+  for (const d of duplicates) {
+    const existingId = d.duplicate.resumeId;
+    uploadedResumeIds = uploadedResumeIds.map((id) => (id === d.id ? existingId : id));
+    // Discard the freshly created copy; failures just leave an unused record behind
+    authFetch(`/api/resume/${d.id}`, { method: 'DELETE' }).catch(() => {});
+  }
+  uploadedResumeIds = Array.from(new Set(uploadedResumeIds));
+  setStatus(uploadStatus, `${uploadedResumeIds.length} resume(s) ready — reused ${duplicates.length} existing record(s).`, 'success');
+}
+
 // --- Generate JD with AI ---
 const generateJdBtn = document.getElementById('generateJdBtn');
 const jobTitleInput = document.getElementById('jobTitle');
@@ -307,12 +400,13 @@ function collectCriteria() {
 
   // Normalize weights to 100%
   if (totalWeight > 0) {
+    // Every criterion keeps at least 1% (the server rejects zero weights)
     for (const c of criteria) {
-      c.weight = Math.round((c.weight / totalWeight) * 100);
+      c.weight = Math.max(1, Math.round((c.weight / totalWeight) * 100));
     }
-    // Fix rounding to exactly 100
+    // Fix rounding to exactly 100 on the heaviest criterion
     const diff = 100 - criteria.reduce((a, c) => a + c.weight, 0);
-    if (diff !== 0) criteria[0].weight += diff;
+    if (diff !== 0) criteria.reduce((max, c) => (c.weight > max.weight ? c : max)).weight += diff;
   } else {
     const even = Math.floor(100 / criteria.length);
     criteria.forEach((c, i) => { c.weight = i === 0 ? 100 - even * (criteria.length - 1) : even; });
@@ -443,7 +537,31 @@ document.addEventListener('click', (e) => {
   }
 });
 
-// --- Process (SSE streaming) ---
+// --- Process (background scoring job, SSE streaming) ---
+// The server scores in a background job; its id is kept in localStorage so a
+// reload (or a closed tab) can reattach to the job and replay missed results.
+const ACTIVE_JOB_KEY = 'activeScoringJob';
+const cancelJobBtn = document.getElementById('cancelJobBtn');
+
+function showResultSkeletons(count) {
+  currentResults = [];
+  currentSessionId = null;
+  currentRun = null;
+  runBar.style.display = 'none';
+  resultsSection.style.display = 'block';
+  resultsContainer.innerHTML = Array.from({ length: count }, () =>
+    `<div class="result-card skeleton-card">
+      <div class="skeleton-circle skeleton"></div>
+      <div style="flex:1">
+        <div class="skeleton skeleton-row" style="width:50%"></div>
+        <div class="skeleton skeleton-row" style="width:35%"></div>
+        <div class="skeleton skeleton-row" style="width:75%"></div>
+      </div>
+    </div>`
+  ).join('');
+  document.getElementById('exportCsvBtn').style.display = 'none';
+}
+
 processBtn.addEventListener('click', async () => {
   const jobTitle = document.getElementById('jobTitle').value.trim();
   const jobDescription = document.getElementById('jobDescription').value.trim();
@@ -457,73 +575,179 @@ processBtn.addEventListener('click', async () => {
   setStatus(processStatus, `Starting AI analysis of ${uploadedResumeIds.length} resume(s)...`);
 
   // Show results section with skeleton loading cards
-  resultsSection.style.display = 'block';
-  resultsContainer.innerHTML = uploadedResumeIds.map(() =>
-    `<div class="result-card skeleton-card">
-      <div class="skeleton-circle skeleton"></div>
-      <div style="flex:1">
-        <div class="skeleton skeleton-row" style="width:50%"></div>
-        <div class="skeleton skeleton-row" style="width:35%"></div>
-        <div class="skeleton skeleton-row" style="width:75%"></div>
-      </div>
-    </div>`
-  ).join('');
-  const exportCsvBtn = document.getElementById('exportCsvBtn');
-  exportCsvBtn.style.display = 'none';
+  showResultSkeletons(uploadedResumeIds.length);
 
   try {
     const criteria = collectCriteria();
     const response = await authFetch('/api/process', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ resumeIds: uploadedResumeIds, jobTitle, jobDescription, criteria }),
+      body: JSON.stringify({
+        resumeIds: uploadedResumeIds, jobTitle, jobDescription, criteria,
+        blindMode: document.getElementById('blindMode').checked,
+        ...scoringOptions(),
+      }),
     });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Processing failed');
 
-    if (!response.ok) {
-      const errData = await response.json();
-      throw new Error(errData.error || 'Processing failed');
-    }
+    localStorage.setItem(ACTIVE_JOB_KEY, data.jobId);
+    await watchScoringJob(data.jobId);
+  } catch (err) {
+    setStatus(processStatus, `Processing failed: ${err.message}`, 'error');
+    resetProcessButton();
+  }
+});
+
+// Options shared by new scoring runs and session rescores
+function scoringOptions() {
+  return {
+    translate: document.getElementById('translateFirst').checked,
+    forceRescore: document.getElementById('forceRescore').checked,
+    knockoutThreshold: knockoutThresholdValue(),
+    autoReject: document.getElementById('autoRejectKnockouts').checked,
+    ensembleRuns: parseInt(document.getElementById('ensembleRuns').value, 10),
+  };
+}
+
+// Blank means the server's default pass mark
+function knockoutThresholdValue() {
+  const value = document.getElementById('knockoutThreshold').value.trim();
+  return value === '' ? null : Math.min(100, Math.max(0, Math.round(Number(value)) || 0));
+}
 
-    // Read SSE stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let eventType = null;
-    let dataStr = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop(); // keep incomplete last line
-
-      for (const line of lines) {
-        if (line.startsWith('event: ')) {
-          eventType = line.substring(7).trim();
-        } else if (line.startsWith('data: ')) {
-          dataStr = line.substring(6);
-        } else if (line === '' && eventType && dataStr) {
-          try {
-            const data = JSON.parse(dataStr);
+function resetProcessButton() {
+  processBtn.innerHTML = '<span class="material-symbols-rounded">auto_awesome</span> Process with AI';
+  processBtn.disabled = uploadedResumeIds.length === 0;
+  cancelJobBtn.style.display = 'none';
+}
+
+// Follow a job until it finishes, reconnecting with Last-Event-ID when the stream drops
+async function watchScoringJob(jobId) {
+  processBtn.disabled = true;
+  processBtn.innerHTML = '<span class="spinner"></span> Processing...';
+  cancelJobBtn.dataset.jobId = jobId;
+  cancelJobBtn.disabled = false;
+  cancelJobBtn.style.display = 'inline-flex';
+
+  let lastEventId = 0;
+  let outcome = null;
+  let failures = 0;
+  try {
+    while (!outcome) {
+      let response = null;
+      try {
+        response = await authFetch(`/api/jobs/${jobId}/events`, {
+          headers: lastEventId ? { 'Last-Event-ID': String(lastEventId) } : {},
+        });
+      } catch (e) { /* network error: retried below */ }
+      if (response && response.status === 404) throw new Error('Scoring job no longer exists');
+
+      if (response && response.ok) {
+        try {
+          await readSSE(response, (data, eventType, id) => {
+            failures = 0;
+            if (id) lastEventId = id;
+            if (['complete', 'cancelled', 'error'].includes(eventType)) outcome = eventType;
             handleSSEEvent(data, eventType);
-          } catch (e) { /* ignore parse errors */ }
-          eventType = null;
-          dataStr = '';
-        }
+          });
+        } catch (e) { /* stream cut off mid-read: retried below */ }
       }
-    }
 
-    setStatus(processStatus, 'Processing complete!', 'success');
+      if (!outcome) {
+        if (++failures > 5) throw new Error('Lost connection to the server');
+        setStatus(processStatus, 'Connection lost — reconnecting...', 'warning');
+        await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** failures));
+      }
+    }
+    localStorage.removeItem(ACTIVE_JOB_KEY);
+    if (outcome === 'complete') {
+      const cachedCount = currentResults.filter(r => r.cached).length;
+      setStatus(processStatus, `Processing complete!${cachedCount > 0 ? ` ${cachedCount} score(s) reused from cache.` : ''}`, 'success');
+    }
   } catch (err) {
-    setStatus(processStatus, `Processing failed: ${err.message}`, 'error');
+    // The job keeps running on the server; a reload reattaches to it
+    setStatus(processStatus, `${err.message}. Reload the page to check on this job.`, 'error');
+    if (err.message === 'Scoring job no longer exists') localStorage.removeItem(ACTIVE_JOB_KEY);
   } finally {
-    processBtn.innerHTML = '<span class="material-symbols-rounded">auto_awesome</span> Process with AI';
-    processBtn.disabled = false;
+    resetProcessButton();
+  }
+}
+
+cancelJobBtn.addEventListener('click', async () => {
+  if (!(await showConfirm('Stop scoring? Resumes already scored are kept and saved as a session.'))) return;
+  cancelJobBtn.disabled = true;
+  try {
+    const response = await authFetch(`/api/jobs/${cancelJobBtn.dataset.jobId}/cancel`, { method: 'POST' });
+    if (!response.ok) {
+      const errData = await response.json();
+      throw new Error(errData.error || 'Cancel failed');
+    }
+  } catch (err) {
+    cancelJobBtn.disabled = false;
+    showToast(`Could not cancel: ${err.message}`, 'error');
   }
 });
 
+// Reattach to a job started before the page was reloaded or closed
+async function resumeActiveJob() {
+  const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+  if (!jobId) return;
+  try {
+    const response = await authFetch(`/api/jobs/${jobId}`);
+    if (!response.ok) {
+      localStorage.removeItem(ACTIVE_JOB_KEY);
+      return;
+    }
+    const job = await response.json();
+    showResultSkeletons(job.total);
+    setStatus(processStatus, job.status === 'running'
+      ? `Reconnected to scoring in progress: ${job.completed} of ${job.total} done...`
+      : 'Loading results of your last scoring run...');
+    await watchScoringJob(jobId);
+  } catch (err) {
+    setStatus(processStatus, `Could not reconnect to scoring: ${err.message}`, 'error');
+  }
+}
+
+resumeActiveJob();
+
+// Read a text/event-stream response body, calling onEvent(data, eventType, eventId) per event
+async function readSSE(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventType = null;
+  let eventId = null;
+  let dataStr = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // keep incomplete last line
+
+    for (const line of lines) {
+      if (line.startsWith('event: ')) {
+        eventType = line.substring(7).trim();
+      } else if (line.startsWith('id: ')) {
+        eventId = parseInt(line.substring(4), 10) || null;
+      } else if (line.startsWith('data: ')) {
+        dataStr = line.substring(6);
+      } else if (line === '' && eventType && dataStr) {
+        let data = null;
+        try { data = JSON.parse(dataStr); } catch (e) { /* ignore parse errors */ }
+        if (data) onEvent(data, eventType, eventId);
+        eventType = null;
+        eventId = null;
+        dataStr = '';
+      }
+    }
+  }
+}
+
 function handleSSEEvent(data, eventType) {
   switch (eventType) {
     case 'progress':
@@ -536,8 +760,19 @@ function handleSSEEvent(data, eventType) {
       currentSessionId = data.sessionId;
       currentResults = data.results.map(r => ({ ...r, tag: r.tag || null }));
       renderResults(data.results, data.sessionId);
+      showFinishedRun(data);
       loadHistory();
       break;
+    case 'cancelled': {
+      const scored = data.results.filter(r => !r.error).length;
+      currentSessionId = data.sessionId;
+      currentResults = data.results.map(r => ({ ...r, tag: r.tag || null }));
+      renderResults(data.results, data.sessionId);
+      setStatus(processStatus, `Scoring cancelled. ${scored} resume(s) scored${data.sessionId ? ' and saved to history' : ''}.`, 'warning');
+      showFinishedRun(data);
+      loadHistory();
+      break;
+    }
     case 'error':
       setStatus(processStatus, `Error: ${data.error}`, 'error');
       break;
@@ -556,18 +791,146 @@ function renderSubScoreBars(subScores) {
   }).join('')}</div>`;
 }
 
-function appendResultCard(r) {
-  // Replace first skeleton card if one exists
-  const skeleton = resultsContainer.querySelector('.skeleton-card');
+// Email, phone, profile links and location under the file name
+function renderContactLine(contact) {
+  if (!contact) return '';
+  const items = [];
+  const email = (contact.emails || [])[0];
+  const phone = (contact.phones || [])[0];
+  const link = (href, icon, label) =>
+    `<a class="contact-item" href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer" onclick="event.stopPropagation();">
+      <span class="material-symbols-rounded">${icon}</span>${escapeHtml(label)}</a>`;
+
+  if (email) items.push(link(`mailto:${email}`, 'mail', email));
+  if (phone) items.push(link(`tel:${phone}`, 'call', phone));
+  if (contact.linkedin) items.push(link(contact.linkedin, 'badge', 'LinkedIn'));
+  if (contact.github) items.push(link(contact.github, 'code', 'GitHub'));
+  if ((contact.websites || [])[0]) items.push(link(contact.websites[0], 'language', 'Website'));
+  if (contact.location) {
+    const place = [contact.location.city, contact.location.region, contact.location.country].filter(Boolean).join(', ');
+    items.push(`<span class="contact-item"><span class="material-symbols-rounded">location_on</span>${escapeHtml(place)}</span>`);
+  }
+  return items.length > 0 ? `<div class="contact-line">${items.join('')}</div>` : '';
+}
+
+function renderInfoChips(r) {
+  const chips = [];
+  if (r.knockedOut) {
+    const gates = (r.failedGates || []).map(g => `${g.name} (${g.score})`).join(', ');
+    chips.push(`<span class="info-chip chip-error" title="Must-have criteria scored below the pass mark">
+      <span class="material-symbols-rounded">block</span> Knocked out: ${escapeHtml(gates)}
+    </span>`);
+  }
+  if (r.blind) {
+    chips.push(`<span class="info-chip chip-action" title="Personal details are hidden — click to reveal this candidate" onclick="event.stopPropagation(); revealCandidate('${r.id}')">
+      <span class="material-symbols-rounded">visibility_off</span> Anonymized &bull; Reveal
+    </span>`);
+  }
+  if (r.translated) {
+    chips.push(`<span class="info-chip chip-success" title="Scored on the English translation">
+      <span class="material-symbols-rounded">translate</span> Translated from ${escapeHtml(r.languageName)}
+    </span>`);
+  } else if (r.languageMismatch) {
+    chips.push(`<span class="info-chip chip-warning" title="The resume and the job description are in different languages — consider translating before scoring">
+      <span class="material-symbols-rounded">translate</span> ${escapeHtml(r.languageName)} &bull; language mismatch
+    </span>`);
+  } else if (r.language && r.language !== 'en') {
+    chips.push(`<span class="info-chip" title="Detected resume language">
+      <span class="material-symbols-rounded">translate</span> ${escapeHtml(r.languageName)}
+    </span>`);
+  }
+  if (r.ocrConfidence != null) {
+    chips.push(`<span class="info-chip chip-warning" title="Text was recovered with OCR from a scanned document — verify the score">
+      <span class="material-symbols-rounded">document_scanner</span> OCR ${r.ocrConfidence}%
+    </span>`);
+  }
+  if (r.scoreRange) {
+    const { min, max, runs } = r.scoreRange;
+    const spread = max - min;
+    const [level, cls] = spread <= 5 ? ['High', 'chip-success'] : spread <= 12 ? ['Medium', ''] : ['Low', 'chip-warning'];
+    chips.push(`<span class="info-chip ${cls}" title="Scored ${runs} times: ${min}–${max}. The score shown is the median per criterion">
+      <span class="material-symbols-rounded">query_stats</span> ${level} confidence &bull; ${min}–${max}
+    </span>`);
+  }
+  if (r.tied) {
+    chips.push(`<span class="info-chip" title="Score range overlaps with the neighbouring candidates — the order within this group is alphabetical">
+      <span class="material-symbols-rounded">drag_handle</span> Tied
+    </span>`);
+  }
+  if (r.isNew) {
+    chips.push(`<span class="info-chip chip-success" title="Added to this session since you last opened it">
+      <span class="material-symbols-rounded">fiber_new</span> New since last visit
+    </span>`);
+  }
+  if (r.rankChange != null) {
+    const moved = Math.abs(r.rankChange);
+    const [icon, label, cls] = r.rankChange > 0 ? ['arrow_upward', `Up ${moved}`, 'chip-success']
+      : r.rankChange < 0 ? ['arrow_downward', `Down ${moved}`, 'chip-warning'] : ['drag_handle', 'Same rank', ''];
+    chips.push(`<span class="info-chip ${cls}" title="Rank #${r.baselineRank} (score ${r.baselineScore}) in the compared run, #${r.rank} now">
+      <span class="material-symbols-rounded">${icon}</span> ${label}
+    </span>`);
+  }
+  if (r.cached) {
+    chips.push(`<span class="info-chip" title="Same resume, job and criteria were scored before — reused without a new AI call. Tick “Force rescore” to score again">
+      <span class="material-symbols-rounded">cached</span> Cached score
+    </span>`);
+  }
+  return chips.length > 0 ? `<div class="info-chips">${chips.join('')}</div>` : '';
+}
+
+// Reveal a blind-screened candidate's name and filename on their card
+async function revealCandidate(resumeId) {
+  const result = currentResults.find(r => r.id === resumeId);
+  // Only in the session shown (results streamed from a job carry the session they're scored into)
+  const sessionId = result?.sessionId || currentSessionId;
+  try {
+    const response = await authFetch(`/api/resume/${resumeId}/reveal${sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : ''}`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Reveal failed');
+
+    if (result) Object.assign(result, { candidateName: data.candidateName, originalName: data.originalName, contact: data.contact, blind: false });
+
+    const card = resultsContainer.querySelector(`.result-card[data-id="${resumeId}"]`);
+    if (card) {
+      card.querySelector('.candidate-name').childNodes[0].textContent = data.candidateName;
+      card.querySelector('.file-name').textContent = data.originalName;
+      card.querySelector('.file-name').insertAdjacentHTML('afterend', renderContactLine(data.contact));
+      const chip = card.querySelector('.chip-action');
+      if (chip) chip.remove();
+    }
+  } catch (err) {
+    showToast(`Could not reveal candidate: ${err.message}`, 'error');
+  }
+}
 
+function appendResultCard(r) {
   // Ensure tag field exists
   if (!r.tag) r.tag = null;
 
-  const html = buildResultCardHtml(r, 0);
+  // Results stream in completion order, not input order: keep one entry per
+  // resume and insert each card at its place by score
+  const known = currentResults.findIndex(x => x.id === r.id);
+  if (known >= 0) currentResults[known] = r;
+  else currentResults.push(r);
+
+  const existing = r.id ? resultsContainer.querySelector(`.result-card[data-id="${r.id}"]`) : null;
+  if (existing) {
+    existing.remove();
+  } else {
+    // Replace a skeleton card if one is left
+    const skeleton = resultsContainer.querySelector('.skeleton-card');
+    if (skeleton) skeleton.remove();
+  }
 
-  if (skeleton) {
-    skeleton.insertAdjacentHTML('afterend', html);
-    skeleton.remove();
+  const html = buildResultCardHtml(r, 0);
+  const sortScore = resultRank(r);
+  const lower = Array.from(resultsContainer.querySelectorAll('.result-card:not(.skeleton-card)'))
+    .find(card => Number(card.dataset.sortScore) < sortScore);
+  const firstSkeleton = resultsContainer.querySelector('.skeleton-card');
+  if (lower) {
+    lower.insertAdjacentHTML('beforebegin', html);
+  } else if (firstSkeleton) {
+    firstSkeleton.insertAdjacentHTML('beforebegin', html);
   } else {
     resultsContainer.insertAdjacentHTML('beforeend', html);
   }
@@ -621,7 +984,8 @@ function renderResults(results, sessionId) {
 }
 
 function openResume(id) {
-  window.open(`/resume.html?id=${id}`, '_blank');
+  // Scores are per session; without one the resume page shows the latest score
+  window.open(`/resume.html?id=${id}${currentSessionId ? `&session=${currentSessionId}&run=${currentRun || ''}` : ''}`, '_blank');
 }
 
 // --- Deploy Modal ---
@@ -858,13 +1222,17 @@ async function loadHistory() {
         year: 'numeric', month: 'short', day: 'numeric',
         hour: '2-digit', minute: '2-digit',
       });
+      const runs = s.runs.length > 1
+        ? `<div class="history-runs">${s.runs.map(r => `<button class="history-run" onclick="event.stopPropagation(); loadSession('${s.id}', ${r.run})" title="${escapeHtml(runLabel(r))}">Run ${r.run}</button>`).join('')}</div>`
+        : '';
       return `<div class="history-item animate-in" onclick="loadSession('${s.id}')" style="animation-delay:${i * 50}ms">
         <div class="history-icon">
           <span class="material-symbols-rounded">work</span>
         </div>
         <div class="history-info">
           <div class="history-title">${escapeHtml(s.jobTitle)}</div>
-          <div class="history-meta">${date} &bull; ${s.resumeCount} resume(s)</div>
+          <div class="history-meta">${date} &bull; ${s.resumeCount} resume(s)${s.blindMode ? ' &bull; Blind screening' : ''}</div>
+          ${runs}
         </div>
         <div class="history-score">Top: ${s.topScore !== null ? s.topScore : '--'}</div>
         <button class="history-delete" onclick="event.stopPropagation(); deleteSession('${s.id}')" title="Delete session">
@@ -877,23 +1245,182 @@ async function loadHistory() {
   }
 }
 
-async function loadSession(sessionId) {
+// Show one run of a session (default: the latest), optionally with rank movement since `baseline`.
+// The job details and criteria of the run are loaded into the form, ready to be edited for a rescore.
+async function loadSession(sessionId, run = null, baseline = null) {
   try {
-    const response = await authFetch(`/api/sessions/${sessionId}`);
+    const query = new URLSearchParams();
+    if (run) query.set('run', run);
+    if (baseline && baseline !== run) query.set('baseline', baseline);
+    const response = await authFetch(`/api/sessions/${sessionId}${query.toString() ? `?${query}` : ''}`);
     if (!response.ok) throw new Error('Session not found');
     const data = await response.json();
 
     document.getElementById('jobTitle').value = data.jobTitle;
     document.getElementById('jobDescription').value = data.jobDescription;
+    criteriaList.innerHTML = '';
+    (data.criteria || []).forEach(c => addCriterionRow(c.name, c.priority || 'must-have', c.weight));
+    updateWeightInfo();
+    document.getElementById('knockoutThreshold').value = data.knockoutThreshold ?? '';
+
+    const newCount = markNewSinceLastVisit(sessionId, data);
 
     currentSessionId = sessionId;
+    currentRun = data.run;
     renderResults(data.results, sessionId);
-    setStatus(processStatus, `Loaded session from ${new Date(data.createdAt + 'Z').toLocaleDateString()}`, 'success');
+    renderRunBar(data);
+    const newNote = newCount > 0 ? ` — ${newCount} new since your last visit` : '';
+    setStatus(processStatus, data.baselineRun
+      ? `Showing run ${data.run} with rank movement since run ${data.baselineRun}${newNote}`
+      : `Loaded session from ${new Date(data.createdAt + 'Z').toLocaleDateString()}${data.runs.length > 1 ? ` (run ${data.run})` : ''}${newNote}`, 'success');
   } catch (err) {
     showToast('Failed to load session: ' + err.message, 'error');
   }
 }
 
+// Resumes added to a session since this browser last showed it get `isNew`. A visit
+// remembers the newest addition seen (server time, so clock differences don't matter).
+const SESSION_VISITS_KEY = 'sessionVisits';
+
+function sessionVisits() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_VISITS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function recordSessionVisit(sessionId, seenUntil) {
+  const visits = sessionVisits();
+  visits[sessionId] = seenUntil;
+  localStorage.setItem(SESSION_VISITS_KEY, JSON.stringify(visits));
+}
+
+function markNewSinceLastVisit(sessionId, data) {
+  const lastSeen = sessionVisits()[sessionId];
+  let newCount = 0;
+  let seenUntil = lastSeen ?? data.createdAt;
+  for (const r of data.results) {
+    r.isNew = lastSeen != null && !!r.addedAt && r.addedAt > lastSeen;
+    if (r.isNew) newCount++;
+    if (r.addedAt && r.addedAt > seenUntil) seenUntil = r.addedAt;
+  }
+  recordSessionVisit(sessionId, seenUntil);
+  return newCount;
+}
+
+// --- Session Runs ---
+const runBar = document.getElementById('runBar');
+const runSelect = document.getElementById('runSelect');
+const baselineSelect = document.getElementById('baselineSelect');
+const rescoreBtn = document.getElementById('rescoreBtn');
+const addToSessionBtn = document.getElementById('addToSessionBtn');
+const sessionCost = document.getElementById('sessionCost');
+let rescoreBaseline = null;
+
+function runLabel(r) {
+  return r.createdAt ? `Run ${r.run} — ${new Date(r.createdAt).toLocaleString()}` : `Run ${r.run}`;
+}
+
+function renderRunBar(session) {
+  runBar.style.display = 'flex';
+  runSelect.innerHTML = session.runs.map(r =>
+    `<option value="${r.run}"${r.run === session.run ? ' selected' : ''}>${escapeHtml(runLabel(r))}</option>`
+  ).join('');
+  baselineSelect.innerHTML = '<option value="">No comparison</option>' + session.runs
+    .filter(r => r.run !== session.run)
+    .map(r => `<option value="${r.run}"${r.run === session.baselineRun ? ' selected' : ''}>Run ${r.run}</option>`)
+    .join('');
+  baselineSelect.disabled = session.runs.length < 2;
+  renderSessionCost(session.usage);
+}
+
+// AI spend of the whole session (all runs)
+function renderSessionCost(usage) {
+  if (!usage || usage.calls === 0) {
+    sessionCost.style.display = 'none';
+    return;
+  }
+  const tokens = usage.inputTokens + usage.outputTokens;
+  sessionCost.style.display = '';
+  sessionCost.innerHTML = `<span class="material-symbols-rounded">payments</span>$${usage.cost.toFixed(2)}${usage.unpricedCalls > 0 ? '+' : ''}`;
+  sessionCost.title = `${usage.calls} AI call(s), ${tokens.toLocaleString()} tokens (${usage.inputTokens.toLocaleString()} in / ${usage.outputTokens.toLocaleString()} out)` +
+    (usage.unpricedCalls > 0 ? `; ${usage.unpricedCalls} call(s) on a model without a price are not included` : '');
+}
+
+// After a job: a rescore shows its run against the run it started from, added
+// resumes are shown merged into the session's ranking
+function showFinishedRun(data) {
+  if (!data.sessionId) return;
+  if (data.run > 1 || data.appended) {
+    loadSession(data.sessionId, data.run, rescoreBaseline);
+  } else {
+    // Seen from the start: everything added to this new session later counts as new
+    recordSessionVisit(data.sessionId, '');
+    currentRun = 1;
+    renderRunBar({ run: 1, baselineRun: null, runs: [{ run: 1 }] });
+  }
+  rescoreBaseline = null;
+}
+
+runSelect.addEventListener('change', () => {
+  loadSession(currentSessionId, parseInt(runSelect.value, 10), parseInt(baselineSelect.value, 10) || null);
+});
+baselineSelect.addEventListener('change', () => {
+  loadSession(currentSessionId, currentRun, parseInt(baselineSelect.value, 10) || null);
+});
+
+addToSessionBtn.addEventListener('click', async () => {
+  if (!currentSessionId) return;
+  if (uploadedResumeIds.length === 0) { showToast('Upload the new resumes first.', 'warning'); return; }
+
+  const sessionId = currentSessionId;
+  try {
+    const response = await authFetch(`/api/sessions/${sessionId}/resumes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ resumeIds: uploadedResumeIds, ...scoringOptions() }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Adding resumes failed');
+
+    showResultSkeletons(data.total);
+    setStatus(processStatus, `Scoring ${data.total} new resume(s) for this session${data.skipped > 0 ? ` (${data.skipped} already in it)` : ''}...`);
+    localStorage.setItem(ACTIVE_JOB_KEY, data.jobId);
+    await watchScoringJob(data.jobId);
+  } catch (err) {
+    setStatus(processStatus, `Adding resumes failed: ${err.message}`, 'error');
+  }
+});
+
+rescoreBtn.addEventListener('click', async () => {
+  if (!currentSessionId) return;
+  const jobTitle = document.getElementById('jobTitle').value.trim();
+  const jobDescription = document.getElementById('jobDescription').value.trim();
+  if (!jobTitle || !jobDescription) { showToast('Enter a job title and description to rescore with.', 'warning'); return; }
+  if (!(await showConfirm('Score this session\'s resumes again as a new run, using the job details and criteria entered above? Earlier runs are kept.'))) return;
+
+  const sessionId = currentSessionId;
+  rescoreBaseline = currentRun;
+  try {
+    const response = await authFetch(`/api/sessions/${sessionId}/rescore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jobTitle, jobDescription, criteria: collectCriteria(), ...scoringOptions() }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Rescore failed');
+
+    showResultSkeletons(data.total);
+    setStatus(processStatus, `Rescoring ${data.total} resume(s) as run ${data.run}...`);
+    localStorage.setItem(ACTIVE_JOB_KEY, data.jobId);
+    await watchScoringJob(data.jobId);
+  } catch (err) {
+    rescoreBaseline = null;
+    setStatus(processStatus, `Rescore failed: ${err.message}`, 'error');
+  }
+});
+
 async function deleteSession(sessionId) {
   if (!(await showConfirm('Delete this scoring session? This cannot be undone.'))) return;
   try {
@@ -945,7 +1472,7 @@ function updateCompareBar() {
 compareBtn.addEventListener('click', () => {
   if (compareSelection.size < 2) return;
   const ids = Array.from(compareSelection).join(',');
-  window.open(`/compare.html?ids=${ids}&session=${currentSessionId || ''}`, '_blank');
+  window.open(`/compare.html?ids=${ids}&session=${currentSessionId || ''}&run=${currentRun || ''}`, '_blank');
 });
 
 compareClearBtn.addEventListener('click', () => {
@@ -959,7 +1486,7 @@ const exportCsvBtnEl = document.getElementById('exportCsvBtn');
 exportCsvBtnEl.addEventListener('click', async () => {
   if (!currentSessionId) return;
   try {
-    const response = await authFetch(`/api/sessions/${currentSessionId}/export/csv`);
+    const response = await authFetch(`/api/sessions/${currentSessionId}/export/csv${currentRun ? `?run=${currentRun}` : ''}`);
     if (!response.ok) throw new Error('Export failed');
     const blob = await response.blob();
     const url = URL.createObjectURL(blob);
@@ -1110,6 +1637,11 @@ dropArea.addEventListener('drop', (e) => {
   }
 });
 
+// --- Prompt Templates ---
+document.getElementById('promptsBtn').addEventListener('click', () => {
+  window.open('/prompts.html', '_blank');
+});
+
 // --- Keyboard Shortcuts ---
 const shortcutsOverlay = document.getElementById('shortcutsOverlay');
 const shortcutsBtn = document.getElementById('shortcutsBtn');
@@ -1225,9 +1757,11 @@ function applyFilters() {
       case 'score-asc': return (a.score || 0) - (b.score || 0);
       case 'name-asc': return (a.candidateName || '').localeCompare(b.candidateName || '');
       case 'name-desc': return (b.candidateName || '').localeCompare(a.candidateName || '');
-      default: return (b.score || 0) - (a.score || 0);
+      default: return resultRank(b) - resultRank(a);
     }
   });
+  currentResults.forEach(r => { r.tied = false; });
+  if (sortBy === 'score-ties') filtered = groupTies(filtered);
 
   // Update count
   filterCount.textContent = `Showing ${filtered.length} of ${currentResults.filter(r => !r.error).length}`;
@@ -1251,14 +1785,49 @@ function renderFilteredResults(results) {
   });
 }
 
+// Card order: passing candidates by score, then knocked-out ones, then failures
+function resultRank(r) {
+  if (r.error) return -2000;
+  return r.knockedOut ? r.score - 1000 : r.score;
+}
+
+// Ensemble-scored candidates whose score ranges overlap can't be told apart, so
+// the "ties" sort groups them (results already sorted by rank, best first) and
+// orders each group by name. A group holds only candidates overlapping its top
+// candidate, so ties don't chain down the list. Marks grouped results `tied`.
+function groupTies(sorted) {
+  const bounds = (r) => {
+    const rank = resultRank(r);
+    const range = r.scoreRange || { min: r.score, max: r.score };
+    return { low: rank - (r.score - range.min), high: rank + (range.max - r.score) };
+  };
+  const groups = [];
+  // Lowest possible rank of the current group's top candidate
+  let floor = null;
+  for (const r of sorted) {
+    const { low, high } = bounds(r);
+    if (floor !== null && high >= floor) {
+      groups[groups.length - 1].push(r);
+    } else {
+      groups.push([r]);
+      floor = low;
+    }
+  }
+  return groups.flatMap((group) => {
+    if (group.length > 1) group.forEach(r => { r.tied = true; });
+    return group.sort((a, b) => (a.candidateName || '').localeCompare(b.candidateName || ''));
+  });
+}
+
 function buildResultCardHtml(r, i) {
   if (r.error) {
-    return `<div class="result-card result-error animate-in" style="animation-delay:${i * 60}ms">
-      <div class="score-badge score-low">
-        <span class="material-symbols-rounded" style="font-size:24px;">error</span>
+    return `<div class="result-card result-error animate-in"${r.id ? ` data-id="${r.id}"` : ''} data-sort-score="${resultRank(r)}" style="animation-delay:${i * 60}ms">
+      <div class="score-badge score-low" title="${r.invalidOutput ? 'Not scored: the model returned an invalid response' : 'Failed'}">
+        <span class="material-symbols-rounded" style="font-size:24px;">${r.invalidOutput ? 'report' : 'error'}</span>
       </div>
       <div class="candidate-info">
         <span class="candidate-name">${escapeHtml(r.originalName || 'Unknown')}</span>
+        ${r.invalidOutput ? '<div class="info-chips"><span class="info-chip chip-warning"><span class="material-symbols-rounded">report</span>Not scored — invalid model response</span></div>' : ''}
         <p class="reasoning" style="color:var(--md-error)">${escapeHtml(r.error)}</p>
       </div>
     </div>`;
@@ -1267,7 +1836,7 @@ function buildResultCardHtml(r, i) {
   const scoreClass = r.score >= 70 ? 'score-high' : r.score >= 50 ? 'score-mid' : 'score-low';
   const activeTag = r.tag || '';
 
-  return `<div class="result-card animate-in" data-id="${r.id}" draggable="true" onclick="openResume('${r.id}')" style="animation-delay:${i * 60}ms">
+  return `<div class="result-card animate-in${r.knockedOut ? ' result-knocked-out' : ''}" data-id="${r.id}" data-sort-score="${resultRank(r)}" draggable="true" onclick="openResume('${r.id}')" style="animation-delay:${i * 60}ms">
     <label class="compare-check" onclick="event.stopPropagation();">
       <input type="checkbox" onchange="toggleCompare('${r.id}', this.checked)">
       <span class="material-symbols-rounded">check_circle</span>
@@ -1276,6 +1845,8 @@ function buildResultCardHtml(r, i) {
     <div class="candidate-info">
       <span class="candidate-name candidate-name-editable" data-id="${r.id}" ondblclick="event.stopPropagation(); startNameEdit(this);">${escapeHtml(r.candidateName)}<span class="material-symbols-rounded edit-hint" style="font-size:14px;">edit</span></span>
       <span class="file-name">${escapeHtml(r.originalName)}</span>
+      ${renderContactLine(r.contact)}
+      ${renderInfoChips(r)}
       <p class="reasoning">${escapeHtml(r.reasoning)}</p>
       ${renderSubScoreBars(r.subScores)}
       <div class="tag-pills" onclick="event.stopPropagation();">
@@ -1,5 +1,7 @@
 const params = new URLSearchParams(window.location.search);
 const ids = (params.get('ids') || '').split(',').filter(Boolean);
+const sessionId = params.get('session') || null;
+const run = parseInt(params.get('run'), 10) || null;
 
 const loadingEl = document.getElementById('loading');
 const overviewSection = document.getElementById('overviewSection');
@@ -27,7 +29,7 @@ async function loadComparison() {
     const response = await authFetch('/api/compare', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ resumeIds: ids }),
+      body: JSON.stringify({ resumeIds: ids, sessionId, run }),
     });
     if (!response.ok) throw new Error('Failed to load comparison data');
     const data = await response.json();
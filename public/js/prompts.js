@@ -0,0 +1,169 @@
+const promptSelect = document.getElementById('promptSelect');
+const promptVariables = document.getElementById('promptVariables');
+const promptBody = document.getElementById('promptBody');
+const promptNote = document.getElementById('promptNote');
+const previewBtn = document.getElementById('previewBtn');
+const saveBtn = document.getElementById('saveBtn');
+const saveActivateBtn = document.getElementById('saveActivateBtn');
+const promptStatus = document.getElementById('promptStatus');
+const versionList = document.getElementById('versionList');
+const previewOutput = document.getElementById('previewOutput');
+
+let prompts = [];
+// Version currently loaded into the editor
+let loadedVersion = null;
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function setStatus(msg, type) {
+  promptStatus.textContent = msg;
+  promptStatus.className = 'status-message' + (type ? ` ${type}` : '');
+}
+
+function currentPrompt() {
+  return prompts.find(p => p.name === promptSelect.value);
+}
+
+async function errorMessage(response, fallback) {
+  const data = await response.json().catch(() => ({}));
+  return data.error || fallback;
+}
+
+async function loadPrompts(selected) {
+  try {
+    const response = await authFetch('/api/prompts');
+    if (!response.ok) throw new Error(await errorMessage(response, 'Failed to load prompts'));
+    prompts = (await response.json()).prompts;
+  } catch (err) {
+    setStatus(err.message, 'error');
+    return;
+  }
+
+  promptSelect.innerHTML = prompts.map(p =>
+    `<option value="${escapeHtml(p.name)}">${escapeHtml(p.label)} (v${p.activeVersion})</option>`
+  ).join('');
+  if (selected) promptSelect.value = selected;
+}
+
+function renderVariables(prompt) {
+  promptVariables.innerHTML = prompt.variables.map(v => {
+    const required = prompt.required.includes(v);
+    return `<span class="info-chip${required ? ' chip-warning' : ''}" title="${required ? 'Required' : 'Optional'}">{{${escapeHtml(v)}}}${required ? ' *' : ''}</span>`;
+  }).join('');
+}
+
+function renderVersions(prompt) {
+  versionList.innerHTML = prompt.versions.map(v => `
+    <div class="prompt-version">
+      <div class="prompt-version-info">
+        <div class="prompt-version-title">
+          Version ${v.version}
+          ${v.active ? '<span class="info-chip chip-success">Active</span>' : ''}
+          ${v.version === loadedVersion ? '<span class="info-chip">In editor</span>' : ''}
+        </div>
+        <div class="prompt-version-meta">${escapeHtml(v.note || 'No note')} &middot; ${new Date(v.createdAt).toLocaleString()}</div>
+      </div>
+      <button class="md-btn md-btn-text" data-load="${v.version}" title="Load into editor">
+        <span class="material-symbols-rounded">edit</span>
+      </button>
+      ${v.active ? '' : `<button class="md-btn md-btn-outlined" data-activate="${v.version}">Activate</button>`}
+    </div>
+  `).join('');
+}
+
+async function loadVersion(version) {
+  const prompt = currentPrompt();
+  try {
+    const response = await authFetch(`/api/prompts/${prompt.name}/versions/${version}`);
+    if (!response.ok) throw new Error(await errorMessage(response, 'Failed to load version'));
+    const data = await response.json();
+    promptBody.value = data.body;
+    loadedVersion = data.version;
+    renderVersions(prompt);
+    setStatus('');
+  } catch (err) {
+    setStatus(err.message, 'error');
+  }
+}
+
+async function showPrompt() {
+  const prompt = currentPrompt();
+  if (!prompt) return;
+  renderVariables(prompt);
+  await loadVersion(prompt.activeVersion);
+  previewOutput.textContent = 'Click Preview to render the template.';
+}
+
+async function preview() {
+  const prompt = currentPrompt();
+  try {
+    const response = await authFetch(`/api/prompts/${prompt.name}/preview`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ body: promptBody.value }),
+    });
+    if (!response.ok) throw new Error(await errorMessage(response, 'Preview failed'));
+    const data = await response.json();
+    previewOutput.textContent = data.prompt;
+    if (data.errors.length > 0) setStatus(`This template can't be saved: ${data.errors.join('; ')}`, 'warning');
+    else setStatus('');
+  } catch (err) {
+    setStatus(err.message, 'error');
+  }
+}
+
+async function save(activate) {
+  const prompt = currentPrompt();
+  saveBtn.disabled = true;
+  saveActivateBtn.disabled = true;
+  try {
+    const response = await authFetch(`/api/prompts/${prompt.name}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ body: promptBody.value, note: promptNote.value, activate }),
+    });
+    if (!response.ok) throw new Error(await errorMessage(response, 'Save failed'));
+    const data = await response.json();
+    promptNote.value = '';
+    loadedVersion = data.version;
+    await loadPrompts(prompt.name);
+    renderVersions(currentPrompt());
+    setStatus(activate ? `Saved and activated version ${data.version}` : `Saved version ${data.version} (not active yet)`, 'success');
+  } catch (err) {
+    setStatus(err.message, 'error');
+  } finally {
+    saveBtn.disabled = false;
+    saveActivateBtn.disabled = false;
+  }
+}
+
+async function activate(version) {
+  const prompt = currentPrompt();
+  try {
+    const response = await authFetch(`/api/prompts/${prompt.name}/versions/${version}/activate`, { method: 'POST' });
+    if (!response.ok) throw new Error(await errorMessage(response, 'Activation failed'));
+    await loadPrompts(prompt.name);
+    renderVersions(currentPrompt());
+    setStatus(`Version ${version} is now active`, 'success');
+  } catch (err) {
+    setStatus(err.message, 'error');
+  }
+}
+
+promptSelect.addEventListener('change', showPrompt);
+previewBtn.addEventListener('click', preview);
+saveBtn.addEventListener('click', () => save(false));
+saveActivateBtn.addEventListener('click', () => save(true));
+
+versionList.addEventListener('click', (e) => {
+  const loadBtn = e.target.closest('[data-load]');
+  if (loadBtn) return loadVersion(parseInt(loadBtn.dataset.load, 10));
+  const activateBtn = e.target.closest('[data-activate]');
+  if (activateBtn) activate(parseInt(activateBtn.dataset.activate, 10));
+});
+
+loadPrompts().then(showPrompt);
@@ -1,6 +1,10 @@
 // Extract resume ID from URL
 const params = new URLSearchParams(window.location.search);
 const resumeId = params.get('id');
+const sessionId = params.get('session');
+const run = params.get('run');
+// Blind screening is per session, so actions on the resume say which session it is viewed from
+const sessionQuery = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
 
 const candidateNameEl = document.getElementById('candidateName');
 const fileNameEl = document.getElementById('fileName');
@@ -10,10 +14,14 @@ const reasoningEl = document.getElementById('reasoning');
 const cleanBtn = document.getElementById('cleanBtn');
 const cleanStatus = document.getElementById('cleanStatus');
 const downloadBtn = document.getElementById('downloadBtn');
+const downloadOriginalBtn = document.getElementById('downloadOriginalBtn');
 const cleanedPanel = document.getElementById('cleanedPanel');
 const cleanedTextEl = document.getElementById('cleanedText');
 
 let originalText = '';
+let resumeData = null;
+let showingTranslation = false;
+let activeCriterion = null;
 
 if (!resumeId) {
   candidateNameEl.textContent = 'Error: No resume ID provided';
@@ -25,24 +33,47 @@ async function loadResume() {
   if (!resumeId) return;
 
   try {
-    const response = await authFetch(`/api/resume/${resumeId}`);
+    const query = new URLSearchParams();
+    if (sessionId) query.set('sessionId', sessionId);
+    if (sessionId && run) query.set('run', run);
+    const response = await authFetch(`/api/resume/${resumeId}${query.toString() ? `?${query}` : ''}`);
     if (!response.ok) throw new Error('Resume not found');
     const data = await response.json();
 
     candidateNameEl.textContent = data.candidateName || 'Unknown Candidate';
     fileNameEl.textContent = data.originalName;
     scoreValueEl.textContent = data.score;
-    resumeTextEl.textContent = data.rawText;
     reasoningEl.textContent = data.reasoning || 'No scoring data available.';
     document.title = `Resume - ${data.candidateName || 'Unknown'}`;
 
     originalText = data.rawText;
+    resumeData = data;
+    renderLanguageSwitch();
+    renderResumeText();
+    renderOriginalFile(data);
+
+    renderBlindNotice(data);
+
+    if (data.extractionMethod === 'ocr') {
+      const ocrNotice = document.getElementById('ocrNotice');
+      ocrNotice.textContent = `This resume was scanned — its text was recovered with OCR (confidence ${data.ocrConfidence}%). Recognition errors may affect the score, so double-check it against the original.`;
+      ocrNotice.className = 'status-message warning';
+      ocrNotice.style.display = 'block';
+    }
 
     // Render score breakdown if sub-scores exist
     if (data.subScores && data.subScores.criteria) {
       renderScoreBreakdown(data.subScores);
     }
 
+    if (data.profile) {
+      renderProfile(data.profile);
+    }
+
+    if (data.coverLetter) {
+      renderCoverLetter(data.coverLetter);
+    }
+
     if (data.cleanedText) {
       showCleanedResult(data.cleanedText);
     }
@@ -53,6 +84,119 @@ async function loadResume() {
 
 loadResume();
 
+// Switch the left panel between the original text and its English translation
+function renderLanguageSwitch() {
+  const el = document.getElementById('languageSwitch');
+  const data = resumeData;
+  if (!data.language || data.language === 'en') {
+    el.style.display = 'none';
+    return;
+  }
+
+  document.getElementById('resumeTextTitle').textContent = showingTranslation ? 'English Translation' : 'Original Resume';
+
+  el.innerHTML = `<button class="md-btn md-btn-text md-btn-sm${showingTranslation ? '' : ' active'}" onclick="showTranslation(false)">
+      Original (${escapeHtml(data.languageName)})
+    </button>
+    <button class="md-btn md-btn-text md-btn-sm${showingTranslation ? ' active' : ''}" onclick="showTranslation(true, this)">
+      <span class="material-symbols-rounded">translate</span> ${data.translatedText ? 'English' : 'Translate to English'}
+    </button>`;
+  el.style.display = 'flex';
+}
+
+async function showTranslation(translated, btn) {
+  if (translated && !resumeData.translatedText) {
+    btn.disabled = true;
+    btn.innerHTML = '<span class="spinner spinner-dark" style="width:14px;height:14px;border-width:2px;"></span> Translating...';
+    try {
+      const response = await authFetch(`/api/resume/${resumeId}/translate${sessionQuery}`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Translation failed');
+      resumeData.translatedText = data.translatedText;
+    } catch (err) {
+      cleanStatus.textContent = `Error: ${err.message}`;
+      cleanStatus.className = 'status-message error';
+      renderLanguageSwitch();
+      return;
+    }
+  }
+  showingTranslation = translated;
+  renderLanguageSwitch();
+  renderResumeText();
+}
+
+// Resume text in the left panel, with the selected criterion's evidence highlighted
+function renderResumeText() {
+  const text = (showingTranslation ? resumeData.translatedText : resumeData.rawText) || '';
+  const source = showingTranslation ? 'translation' : 'original';
+  const criterion = activeCriterion != null ? resumeData.subScores.criteria[activeCriterion] : null;
+  const ranges = (criterion?.evidence || [])
+    .filter(e => e.source === source && e.start != null)
+    .sort((a, b) => a.start - b.start);
+
+  if (ranges.length === 0) {
+    resumeTextEl.textContent = text;
+    return;
+  }
+
+  let html = '';
+  let pos = 0;
+  for (const { start, end } of ranges) {
+    if (end <= pos) continue; // overlaps the previous passage
+    html += escapeHtml(text.slice(pos, Math.max(pos, start)));
+    html += `<mark class="evidence-mark">${escapeHtml(text.slice(Math.max(pos, start), end))}</mark>`;
+    pos = end;
+  }
+  html += escapeHtml(text.slice(pos));
+  resumeTextEl.innerHTML = html;
+  resumeTextEl.querySelector('.evidence-mark').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Click a criterion to highlight the passages it was scored on; click again to clear
+function selectCriterion(index) {
+  activeCriterion = activeCriterion === index ? null : index;
+  const evidence = activeCriterion != null ? resumeData.subScores.criteria[activeCriterion].evidence || [] : [];
+  // Jump to whichever text the quotes were found in
+  const sources = new Set(evidence.filter(e => e.start != null).map(e => e.source));
+  if (sources.size > 0 && !sources.has(showingTranslation ? 'translation' : 'original')) {
+    showingTranslation = sources.has('translation');
+    renderLanguageSwitch();
+  }
+  renderScoreBreakdown(resumeData.subScores);
+  renderResumeText();
+}
+
+// Blind screening: identities stay hidden until the recruiter reveals the candidate
+function renderBlindNotice(data) {
+  const notice = document.getElementById('blindNotice');
+  cleanBtn.style.display = data.blind ? 'none' : '';
+  if (!data.blind) {
+    notice.style.display = 'none';
+    return;
+  }
+  notice.innerHTML = `<span>Blind screening — name, contact details and other personal identifiers are hidden.</span>
+    <button class="md-btn md-btn-tonal md-btn-sm" onclick="revealCandidate(this)">
+      <span class="material-symbols-rounded">visibility</span> Reveal candidate
+    </button>`;
+  notice.style.display = 'flex';
+}
+
+async function revealCandidate(btn) {
+  btn.disabled = true;
+  try {
+    const response = await authFetch(`/api/resume/${resumeId}/reveal${sessionQuery}`, { method: 'POST' });
+    if (!response.ok) {
+      const err = await response.json();
+      throw new Error(err.error || 'Reveal failed');
+    }
+    await loadResume();
+  } catch (err) {
+    btn.disabled = false;
+    const notice = document.getElementById('blindNotice');
+    notice.querySelector('span').textContent = `Error: ${err.message}`;
+  }
+}
+
 // Clean button
 cleanBtn.addEventListener('click', async () => {
   cleanBtn.disabled = true;
@@ -61,7 +205,7 @@ cleanBtn.addEventListener('click', async () => {
   cleanStatus.className = 'status-message';
 
   try {
-    const response = await authFetch(`/api/resume/${resumeId}/clean`, {
+    const response = await authFetch(`/api/resume/${resumeId}/clean${sessionQuery}`, {
       method: 'POST',
     });
     if (!response.ok) {
@@ -85,22 +229,88 @@ function renderScoreBreakdown(subScores) {
   const el = document.getElementById('scoreBreakdown');
   if (!el || !subScores.criteria) return;
   el.style.display = 'block';
-  el.innerHTML = `<h4>Score Breakdown</h4>` + subScores.criteria.map(c => {
+  const hint = subScores.criteria.some(c => c.evidence && c.evidence.length > 0)
+    ? '<p class="breakdown-hint">Click a criterion to highlight its supporting passages in the resume.</p>'
+    : '';
+  el.innerHTML = `<h4>Score Breakdown</h4>${hint}` + subScores.criteria.map((c, i) => {
     const cls = c.score >= 70 ? 'bar-high' : c.score >= 50 ? 'bar-mid' : 'bar-low';
-    return `<div class="breakdown-row">
+    const evidence = c.evidence || [];
+    const active = activeCriterion === i;
+    const failedGate = (resumeData.failedGates || []).some(g => g.name === c.name);
+    return `<div class="breakdown-row${evidence.length > 0 ? ' breakdown-row-clickable' : ''}${active ? ' active' : ''}"${evidence.length > 0 ? ` onclick="selectCriterion(${i})"` : ''}>
       <div class="breakdown-label">
         <div class="breakdown-name">${escapeHtml(c.name)}</div>
         <div class="breakdown-weight">Weight: ${c.weight}%</div>
+        ${failedGate ? '<div class="breakdown-gate-failed"><span class="material-symbols-rounded">block</span>Must-have not met</div>' : ''}
+        ${evidence.length > 0 ? `<div class="breakdown-evidence-count"><span class="material-symbols-rounded">format_quote</span>${evidence.length}</div>` : ''}
       </div>
       <div class="breakdown-bar-area">
         <div class="breakdown-track"><div class="breakdown-fill ${cls}" style="width:${c.score}%"></div></div>
         ${c.reasoning ? `<div class="breakdown-reasoning">${escapeHtml(c.reasoning)}</div>` : ''}
+        ${active ? `<ul class="breakdown-evidence">${evidence.map(e =>
+          `<li${e.start == null ? ' class="unverified" title="This quote was not found in the resume text"' : ''}>“${escapeHtml(e.quote)}”</li>`
+        ).join('')}</ul>` : ''}
       </div>
       <div class="breakdown-score">${c.score}</div>
     </div>`;
   }).join('');
 }
 
+function formatDateRange(start, end, current) {
+  if (!start && !end) return '';
+  return `${start || '?'} – ${current ? 'Present' : (end || '?')}`;
+}
+
+function renderProfile(profile) {
+  const el = document.getElementById('candidateProfile');
+  const sections = [];
+
+  const contact = profile.contact || {};
+  const contactItems = [contact.email, contact.phone, ...(contact.links || [])].filter(Boolean);
+  if (contactItems.length > 0) {
+    sections.push(`<h4>Contact</h4><div class="profile-contact">${contactItems.map(c => `<span>${escapeHtml(c)}</span>`).join('')}</div>`);
+  }
+
+  if (profile.experience && profile.experience.length > 0) {
+    sections.push(`<h4>Work History</h4>` + profile.experience.map(e => `<div class="profile-entry">
+      <div class="profile-entry-title">${escapeHtml(e.title || 'Untitled role')}${e.employer ? ` &middot; ${escapeHtml(e.employer)}` : ''}</div>
+      <div class="profile-entry-meta">${escapeHtml([formatDateRange(e.startDate, e.endDate, e.current), e.location].filter(Boolean).join(' • '))}</div>
+    </div>`).join(''));
+  }
+
+  if (profile.education && profile.education.length > 0) {
+    sections.push(`<h4>Education</h4>` + profile.education.map(e => `<div class="profile-entry">
+      <div class="profile-entry-title">${escapeHtml(e.degree || e.institution || '')}</div>
+      <div class="profile-entry-meta">${escapeHtml([e.degree ? e.institution : null, formatDateRange(e.startDate, e.endDate, false)].filter(Boolean).join(' • '))}</div>
+    </div>`).join(''));
+  }
+
+  if (profile.certifications && profile.certifications.length > 0) {
+    sections.push(`<h4>Certifications</h4>` + profile.certifications.map(c =>
+      `<div class="profile-entry-meta">${escapeHtml(c.name)}${c.date ? ` (${escapeHtml(c.date)})` : ''}</div>`
+    ).join(''));
+  }
+
+  if (profile.skills && profile.skills.length > 0) {
+    sections.push(`<h4>Skills</h4><div class="profile-skills">${profile.skills.map(s => `<span class="info-chip">${escapeHtml(s)}</span>`).join('')}</div>`);
+  }
+
+  if (sections.length === 0) return;
+  el.innerHTML = sections.join('');
+  el.style.display = 'block';
+}
+
+function renderCoverLetter(letter) {
+  const el = document.getElementById('coverLetter');
+  const from = letter.fromName ? `${letter.fromName} <${letter.from}>` : letter.from;
+  const sent = letter.sentAt ? new Date(letter.sentAt).toLocaleString() : null;
+  el.innerHTML = `<h4>Cover Letter</h4>
+    <div class="profile-entry-title">${escapeHtml(letter.subject || '(no subject)')}</div>
+    <div class="profile-entry-meta">${escapeHtml([from, sent, letter.messageFile].filter(Boolean).join(' • '))}</div>
+    <pre class="resume-pre" style="margin-top:12px; max-height:40vh;">${escapeHtml(letter.body || '(empty message)')}</pre>`;
+  el.style.display = 'block';
+}
+
 function showCleanedResult(cleanedText) {
   // Show the cleaned panel
   cleanedPanel.style.display = 'block';
@@ -116,7 +326,7 @@ function showCleanedResult(cleanedText) {
 // Download button (uses fetch+blob so auth headers are sent)
 downloadBtn.addEventListener('click', async () => {
   try {
-    const response = await authFetch(`/api/resume/${resumeId}/download`);
+    const response = await authFetch(`/api/resume/${resumeId}/download${sessionQuery}`);
     if (!response.ok) throw new Error('Download failed');
     const blob = await response.blob();
     const url = URL.createObjectURL(blob);
@@ -132,6 +342,69 @@ downloadBtn.addEventListener('click', async () => {
   }
 });
 
+// --- Original uploaded file ---
+
+let originalPreviewUrl = null;
+
+function renderOriginalFile(data) {
+  const available = data.hasOriginal && !data.blind;
+  downloadOriginalBtn.style.display = available ? 'inline-flex' : 'none';
+  document.getElementById('originalPreview').style.display = available && data.fileType === '.pdf' ? 'block' : 'none';
+}
+
+// Fetched as a blob so auth headers are sent
+async function fetchOriginal(inline) {
+  const response = await authFetch(`/api/resume/${resumeId}/original${sessionQuery}${inline ? `${sessionQuery ? '&' : '?'}inline=1` : ''}`);
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error || 'Download failed');
+  }
+  return response.blob();
+}
+
+downloadOriginalBtn.addEventListener('click', async () => {
+  try {
+    const blob = await fetchOriginal(false);
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = resumeData.originalName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    alert('Download failed: ' + err.message);
+  }
+});
+
+document.getElementById('togglePreviewBtn').addEventListener('click', async (e) => {
+  const btn = e.currentTarget;
+  const frame = document.getElementById('originalFrame');
+  if (frame.style.display !== 'none') {
+    frame.style.display = 'none';
+    btn.textContent = 'Show preview';
+    return;
+  }
+
+  try {
+    if (!originalPreviewUrl) {
+      btn.disabled = true;
+      btn.textContent = 'Loading...';
+      const blob = await fetchOriginal(true);
+      originalPreviewUrl = URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }));
+      frame.src = originalPreviewUrl;
+    }
+    frame.style.display = 'block';
+    btn.textContent = 'Hide preview';
+  } catch (err) {
+    btn.textContent = 'Show preview';
+    alert('Preview failed: ' + err.message);
+  } finally {
+    btn.disabled = false;
+  }
+});
+
 // --- Word-level diff engine ---
 
 function buildDiffHTML(oldText, newText) {
@@ -3,7 +3,6 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const Anthropic = require('@anthropic-ai/sdk').default;
 const PDFDocument = require('pdfkit');
 
 // Document parsers
@@ -13,13 +12,32 @@ const WordExtractor = require('word-extractor');
 const cheerio = require('cheerio');
 const rtfToHTML = require('@iarna/rtf-to-html');
 const rateLimit = require('express-rate-limit');
-const { MongoClient } = require('mongodb');
+const { MongoClient, GridFSBucket } = require('mongodb');
+const { pipeline } = require('stream/promises');
 const { NodeSSH } = require('node-ssh');
 const { exec, spawn } = require('child_process');
 const os = require('os');
+const crypto = require('crypto');
 const AdmZip = require('adm-zip');
 const helmet = require('helmet');
 const cors = require('cors');
+const { ocrPdf } = require('./lib/ocr');
+const { parseResume } = require('./lib/resume-parser');
+const { fingerprintText, estimateSimilarity } = require('./lib/fingerprint');
+const { isJsonResume, jsonResumeToProfile, jsonResumeToText } = require('./lib/json-resume');
+const { EMAIL_EXTENSIONS, parseEmailFile } = require('./lib/email');
+const { archiveType, extractArchive, readZipEntry } = require('./lib/archive');
+const { markdownToText } = require('./lib/markdown');
+const { redactText, redactProfile, viewBlindRecord } = require('./lib/redact');
+const { detectLanguage } = require('./lib/language');
+const { extractContact, formatLocation } = require('./lib/contact');
+const { locateEvidence } = require('./lib/evidence');
+const { PROMPTS, PROMPT_NAMES, templateVariables, validateTemplate, renderTemplate, formatCriteria } = require('./lib/prompts');
+const llm = require('./lib/llm');
+const { callCost } = require('./lib/usage');
+const {
+  DEFAULT_CRITERIA, SCORE_SCHEMA, validateCriteria, validateScoreOutput, weightedTotal, failedGates, combineRuns, scoreRange,
+} = require('./lib/scoring');
 
 const app = express();
 
@@ -28,23 +46,19 @@ app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors());
 const PORT = process.env.PORT || 3000;
 
-// Validate required environment variables
-if (!process.env.ANTHROPIC_API_KEY) {
-  console.error('FATAL: ANTHROPIC_API_KEY environment variable is not set.');
-  console.error('Create a .env file with ANTHROPIC_API_KEY=your-key-here');
+// Validate required environment variables (API keys of the configured LLM providers)
+const llmConfigErrors = llm.configErrors();
+if (llmConfigErrors.length > 0) {
+  for (const message of llmConfigErrors) console.error(`FATAL: ${message}`);
   process.exit(1);
 }
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
 // --- MongoDB Database ---
 const mongoClient = new MongoClient(process.env.MONGODB_URI || 'mongodb://localhost:27017/rezscore', {
   serverSelectionTimeoutMS: 10000,
   connectTimeoutMS: 10000,
 });
-let db, resumesCol, sessionsCol, sessionResumesCol, templatesCol;
+let db, resumesCol, sessionsCol, sessionResumesCol, templatesCol, jobsCol, scoreCacheCol, evaluationsCol, promptsCol, usageCol, originalsBucket;
 
 async function initDB() {
   await mongoClient.connect();
@@ -53,70 +67,299 @@ async function initDB() {
   sessionsCol = db.collection('sessions');
   sessionResumesCol = db.collection('session_resumes');
   templatesCol = db.collection('jd_templates');
+  jobsCol = db.collection('jobs');
+  scoreCacheCol = db.collection('score_cache');
+  evaluationsCol = db.collection('evaluations');
+  promptsCol = db.collection('prompt_templates');
+  usageCol = db.collection('llm_usage');
+  // Original uploaded files (GridFS: originals.files / originals.chunks)
+  originalsBucket = new GridFSBucket(db, { bucketName: 'originals' });
 
   // Create indexes
   await resumesCol.createIndex({ id: 1 }, { unique: true });
+  await resumesCol.createIndex({ content_hash: 1 });
+  await resumesCol.createIndex({ lsh_bands: 1 });
   await sessionsCol.createIndex({ id: 1 }, { unique: true });
   await sessionsCol.createIndex({ created_at: -1 });
-  await sessionResumesCol.createIndex({ session_id: 1 });
+  // A resume is linked to a session at most once (the unique index replaces the one on session_id)
+  await removeDuplicateSessionLinks();
+  await sessionResumesCol.dropIndex('session_id_1').catch(() => {});
+  await sessionResumesCol.createIndex({ session_id: 1, resume_id: 1 }, { unique: true });
   await sessionResumesCol.createIndex({ resume_id: 1 });
   await templatesCol.createIndex({ id: 1 }, { unique: true });
+  await jobsCol.createIndex({ id: 1 }, { unique: true });
+  await jobsCol.createIndex({ status: 1 });
+  await scoreCacheCol.createIndex({ key: 1 }, { unique: true });
+  // One evaluation per resume in each run of a session
+  await evaluationsCol.createIndex({ session_id: 1, run: 1, resume_id: 1 }, { unique: true });
+  await evaluationsCol.createIndex({ resume_id: 1, updated_at: -1 });
+  await promptsCol.createIndex({ name: 1, version: 1 }, { unique: true });
+  await usageCol.createIndex({ created_at: 1 });
+  await usageCol.createIndex({ session_id: 1 });
+  await backfillFingerprints();
+  await backfillLanguages();
+  await backfillContacts();
+  await backfillSessionRuns();
+  await migrateResumeScores();
+  await seedPromptTemplates();
+  await loadActivePrompts();
   console.log('MongoDB connected');
 }
 
+// The built-in prompts become version 1 of each template
+async function seedPromptTemplates() {
+  for (const name of PROMPT_NAMES) {
+    if (await promptsCol.countDocuments({ name }, { limit: 1 })) continue;
+    await promptsCol.insertOne({
+      name, version: 1, body: PROMPTS[name].body, note: 'Built-in default', active: true, created_at: new Date().toISOString(),
+    });
+  }
+}
+
+// Scores used to be stored on the resume itself, so a resume scored for a second
+// job replaced its first session's numbers. They now live in `evaluations`, one per
+// session and resume. Only the last score survived on the resume, so it is moved
+// to the most recent session that contains the resume.
+async function migrateResumeScores() {
+  const cursor = resumesCol.find({ score: { $exists: true } }, { projection: { id: 1, score: 1, claimed_score: 1, reasoning: 1, sub_scores: 1, knockout: 1 } });
+  let count = 0;
+  for await (const r of cursor) {
+    if (r.score !== null) {
+      const links = await sessionResumesCol.find({ resume_id: r.id }).toArray();
+      const latest = await sessionsCol.findOne({ id: { $in: links.map(l => l.session_id) } }, { sort: { created_at: -1 } });
+      if (latest) {
+        await mongo.upsertEvaluation(latest.id, 1, r.id, {
+          score: r.score, claimed_score: r.claimed_score ?? null, reasoning: r.reasoning, sub_scores: r.sub_scores, knockout: r.knockout || null,
+        }, { onlyIfMissing: true });
+        count++;
+      }
+    }
+    await resumesCol.updateOne({ id: r.id }, { $unset: { score: '', claimed_score: '', reasoning: '', sub_scores: '', knockout: '' } });
+  }
+  if (count > 0) console.log(`Moved ${count} resume score(s) to session evaluations`);
+}
+
+// Appending resumes to a session in parallel could link a resume to it twice.
+// The earliest link is kept (a resume that was in the session from the start has
+// no added_at, which sorts first).
+async function removeDuplicateSessionLinks() {
+  const duplicates = await sessionResumesCol.aggregate([
+    { $sort: { added_at: 1, _id: 1 } },
+    { $group: { _id: { session_id: '$session_id', resume_id: '$resume_id' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+  ]).toArray();
+  const extra = duplicates.flatMap(d => d.ids.slice(1));
+  if (extra.length === 0) return;
+  await sessionResumesCol.deleteMany({ _id: { $in: extra } });
+  console.log(`Removed ${extra.length} duplicate session link(s)`);
+}
+
+// Sessions created before rescoring existed have a single run
+async function backfillSessionRuns() {
+  const cursor = sessionsCol.find({ runs: { $exists: false } });
+  let count = 0;
+  for await (const s of cursor) {
+    await sessionsCol.updateOne({ id: s.id }, { $set: { runs: [sessionRun(1, s)], run_count: 1 } });
+    count++;
+  }
+  if (count > 0) console.log(`Recorded ${count} existing session(s) as single-run sessions`);
+}
+
+// A session run: the job details one scoring pass of the session's resumes used
+function sessionRun(run, { job_title, job_description, criteria, knockout_threshold, created_at }) {
+  return { run, job_title, job_description, criteria: criteria || null, knockout_threshold: knockout_threshold ?? null, created_at };
+}
+
+// Resumes uploaded before duplicate detection existed have no fingerprint yet
+async function backfillFingerprints() {
+  const cursor = resumesCol.find({ content_hash: { $exists: false } }, { projection: { id: 1, raw_text: 1 } });
+  let count = 0;
+  for await (const r of cursor) {
+    const fp = fingerprintText(r.raw_text);
+    await resumesCol.updateOne({ id: r.id }, { $set: { content_hash: fp.hash, minhash: fp.minhash, lsh_bands: fp.bands } });
+    count++;
+  }
+  if (count > 0) console.log(`Fingerprinted ${count} existing resume(s) for duplicate detection`);
+}
+
+// Resumes uploaded before language detection existed have no language yet
+async function backfillLanguages() {
+  const cursor = resumesCol.find({ language: { $exists: false } }, { projection: { id: 1, raw_text: 1 } });
+  let count = 0;
+  for await (const r of cursor) {
+    await resumesCol.updateOne({ id: r.id }, { $set: { language: detectLanguage(r.raw_text), translated_text: null } });
+    count++;
+  }
+  if (count > 0) console.log(`Detected language of ${count} existing resume(s)`);
+}
+
+// Resumes uploaded before contact extraction existed have no contact details yet
+async function backfillContacts() {
+  const cursor = resumesCol.find({ contact: { $exists: false } }, { projection: { id: 1, raw_text: 1, profile: 1, cover_letter: 1 } });
+  let count = 0;
+  for await (const r of cursor) {
+    const contact = extractContact(r.raw_text, { headerName: r.profile?.contact?.name, senderName: r.cover_letter?.from_name });
+    await resumesCol.updateOne({ id: r.id }, { $set: { contact } });
+    count++;
+  }
+  if (count > 0) console.log(`Extracted contact details of ${count} existing resume(s)`);
+}
+
+// $group accumulators shared by the usage reports (see usageTotals)
+const USAGE_TOTALS = {
+  calls: { $sum: 1 },
+  input_tokens: { $sum: { $ifNull: ['$input_tokens', 0] } },
+  output_tokens: { $sum: { $ifNull: ['$output_tokens', 0] } },
+  cost: { $sum: { $ifNull: ['$cost', 0] } },
+  // Calls whose cost is unknown (model without a price, or no token counts) aren't in `cost`
+  unpriced_calls: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$cost', null] }, null] }, 1, 0] } },
+  latency_ms: { $sum: { $ifNull: ['$latency_ms', 0] } },
+};
+
 // MongoDB helper functions (replacing SQLite prepared statements)
 const mongo = {
-  async insertResume(id, originalName, fileType, rawText) {
+  async insertResume(id, originalName, fileType, rawText, { ocr = null, profile = null, fingerprint = null, duplicateOf = null, coverLetter = null, language = null, originalFileId = null, contact = null } = {}) {
     await resumesCol.insertOne({
-      id, original_name: originalName, file_type: fileType, raw_text: rawText,
-      candidate_name: null, score: null, reasoning: null, sub_scores: null,
-      cleaned_text: null, tag: null, created_at: new Date().toISOString(),
+      id, original_name: originalName, file_type: fileType, raw_text: rawText, profile, cover_letter: coverLetter, contact,
+      language, translated_text: null, original_file_id: originalFileId,
+      extraction_method: ocr ? 'ocr' : 'text', ocr_confidence: ocr ? ocr.confidence : null,
+      content_hash: fingerprint ? fingerprint.hash : null,
+      minhash: fingerprint ? fingerprint.minhash : null,
+      lsh_bands: fingerprint ? fingerprint.bands : [],
+      duplicate_of: duplicateOf,
+      candidate_name: null, cleaned_text: null, tag: null, created_at: new Date().toISOString(),
     });
   },
   async getResume(id) {
     return resumesCol.findOne({ id });
   },
-  async updateResumeScore(candidateName, score, reasoning, subScores, id) {
-    await resumesCol.updateOne({ id }, { $set: { candidate_name: candidateName, score, reasoning, sub_scores: subScores } });
+  async findDuplicateResume(fingerprint) {
+    // Always point at the original upload, never at a copy that was itself kept as a duplicate
+    const exact = await resumesCol.findOne({ content_hash: fingerprint.hash }, { sort: { created_at: 1 } });
+    if (exact) return { resume: exact, match: 'exact', similarity: 1 };
+
+    // Every resume sharing a band is compared (a capped list could miss the closest
+    // one); only the MinHash signatures are read until the best match is known
+    const candidates = resumesCol.find({ lsh_bands: { $in: fingerprint.bands } }, { projection: { id: 1, minhash: 1, duplicate_of: 1 } });
+    let best = null;
+    for await (const c of candidates) {
+      const similarity = estimateSimilarity(fingerprint.minhash, c.minhash);
+      if (similarity >= NEAR_DUPLICATE_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { candidate: c, similarity };
+      }
+    }
+    if (!best) return null;
+    const projection = { raw_text: 0, translated_text: 0, cleaned_text: 0, profile: 0 };
+    const { candidate } = best;
+    const resume = (candidate.duplicate_of && await resumesCol.findOne({ id: candidate.duplicate_of }, { projection }))
+      || await resumesCol.findOne({ id: candidate.id }, { projection });
+    return { resume, match: 'near', similarity: best.similarity };
+  },
+  async deleteResume(id) {
+    const resume = await resumesCol.findOne({ id }, { projection: { original_file_id: 1 } });
+    if (resume && resume.original_file_id) await this.deleteOriginal(resume.original_file_id);
+    return resumesCol.deleteOne({ id });
+  },
+  // Stream an uploaded file into GridFS; returns the GridFS file id
+  async storeOriginal(resumeId, filePath, filename) {
+    const upload = originalsBucket.openUploadStream(filename, {
+      metadata: { resume_id: resumeId, content_type: contentTypeFor(filename) },
+    });
+    await pipeline(fs.createReadStream(filePath), upload);
+    return upload.id;
+  },
+  async getOriginalInfo(fileId) {
+    return originalsBucket.find({ _id: fileId }).next();
+  },
+  openOriginal(fileId) {
+    return originalsBucket.openDownloadStream(fileId);
+  },
+  async deleteOriginal(fileId) {
+    try {
+      await originalsBucket.delete(fileId);
+    } catch (err) {
+      console.error(`Failed to delete original file ${fileId}: ${err.message}`);
+    }
+  },
+  async isResumeInSession(id) {
+    return (await sessionResumesCol.countDocuments({ resume_id: id }, { limit: 1 })) > 0;
   },
   async updateResumeClean(cleanedText, id) {
     await resumesCol.updateOne({ id }, { $set: { cleaned_text: cleanedText } });
   },
+  async updateResumeTranslation(translatedText, id) {
+    await resumesCol.updateOne({ id }, { $set: { translated_text: translatedText } });
+  },
   async updateResumeName(candidateName, id) {
     await resumesCol.updateOne({ id }, { $set: { candidate_name: candidateName } });
   },
   async updateResumeTag(tag, id) {
     await resumesCol.updateOne({ id }, { $set: { tag } });
   },
-  async insertSession(id, jobTitle, jobDescription, criteria) {
-    await sessionsCol.insertOne({
-      id, job_title: jobTitle, job_description: jobDescription,
-      criteria: criteria || null, created_at: new Date().toISOString(),
+  // The top-level job details always mirror the latest run
+  async insertSession(id, jobTitle, jobDescription, criteria, blindMode = false, knockoutThreshold = null) {
+    const fields = {
+      job_title: jobTitle, job_description: jobDescription,
+      criteria: criteria || null, knockout_threshold: knockoutThreshold, created_at: new Date().toISOString(),
+    };
+    await sessionsCol.insertOne({ id, ...fields, blind_mode: blindMode, runs: [sessionRun(1, fields)], run_count: 1 });
+  },
+  // Next run number of a session, reserved when a rescore starts (a cancelled rescore leaves a gap)
+  async reserveSessionRun(id) {
+    const session = await sessionsCol.findOneAndUpdate({ id }, { $inc: { run_count: 1 } }, { returnDocument: 'after' });
+    return session ? session.run_count : null;
+  },
+  async addSessionRun(id, run, jobTitle, jobDescription, criteria, knockoutThreshold = null) {
+    const record = sessionRun(run, {
+      job_title: jobTitle, job_description: jobDescription, criteria, knockout_threshold: knockoutThreshold, created_at: new Date().toISOString(),
+    });
+    await sessionsCol.updateOne({ id, 'runs.run': { $ne: run } }, {
+      $push: { runs: { $each: [record], $sort: { run: 1 } } },
+      $set: { job_title: jobTitle, job_description: jobDescription, criteria: record.criteria, knockout_threshold: record.knockout_threshold },
     });
   },
-  async insertSessionResumes(sessionId, resumeIds) {
+  async getSessionResumeIds(sessionId) {
+    const links = await sessionResumesCol.find({ session_id: sessionId }).toArray();
+    return links.map(l => l.resume_id);
+  },
+  // `addedAt` is set for resumes added to an existing session (null: part of it from the start).
+  // Upserts, so a resume linked meanwhile (e.g. by a parallel append) keeps its one link.
+  async insertSessionResumes(sessionId, resumeIds, addedAt = null) {
     if (resumeIds.length === 0) return;
-    const docs = resumeIds.map(rid => ({ session_id: sessionId, resume_id: rid }));
-    await sessionResumesCol.insertMany(docs);
+    await sessionResumesCol.bulkWrite(resumeIds.map(rid => ({
+      updateOne: {
+        filter: { session_id: sessionId, resume_id: rid },
+        update: { $setOnInsert: { added_at: addedAt } },
+        upsert: true,
+      },
+    })), { ordered: false });
   },
-  async getSessionResumes(sessionId) {
+  // The session's resumes, each with its evaluation from `run` of this session (see
+  // withEvaluation) and `added_at` from its link
+  async getSessionResumes(sessionId, run) {
     const links = await sessionResumesCol.find({ session_id: sessionId }).toArray();
-    const rids = links.map(l => l.resume_id);
-    if (rids.length === 0) return [];
-    return resumesCol.find({ id: { $in: rids } }).sort({ score: -1 }).toArray();
+    if (links.length === 0) return [];
+    const addedAt = new Map(links.map(l => [l.resume_id, l.added_at || null]));
+    const [resumes, evaluations] = await Promise.all([
+      resumesCol.find({ id: { $in: links.map(l => l.resume_id) } }).toArray(),
+      evaluationsCol.find({ session_id: sessionId, run }).toArray(),
+    ]);
+    const byResume = new Map(evaluations.map(e => [e.resume_id, e]));
+    return resumes.map(r => ({ ...withEvaluation(r, byResume.get(r.id)), added_at: addedAt.get(r.id) }));
   },
   async getSessions() {
     const sessions = await sessionsCol.find().sort({ created_at: -1 }).toArray();
     const result = [];
     for (const s of sessions) {
-      const links = await sessionResumesCol.find({ session_id: s.id }).toArray();
-      const rids = links.map(l => l.resume_id);
-      let topScore = null, resumeCount = rids.length;
-      if (rids.length > 0) {
-        const topResume = await resumesCol.findOne({ id: { $in: rids }, score: { $ne: null } }, { sort: { score: -1 } });
-        if (topResume) topScore = topResume.score;
-      }
-      result.push({ id: s.id, job_title: s.job_title, created_at: s.created_at, resume_count: resumeCount, top_score: topScore });
+      const resumeCount = await sessionResumesCol.countDocuments({ session_id: s.id });
+      const runs = s.runs || [];
+      const latestRun = runs.length > 0 ? runs[runs.length - 1].run : 1;
+      const top = await evaluationsCol.findOne({ session_id: s.id, run: latestRun, score: { $ne: null } }, { sort: { score: -1 } });
+      const topScore = top ? top.score : null;
+      result.push({
+        id: s.id, job_title: s.job_title, created_at: s.created_at, resume_count: resumeCount, top_score: topScore, blind_mode: !!s.blind_mode,
+        runs: runs.map(r => ({ run: r.run, created_at: r.created_at })),
+      });
     }
     return result;
   },
@@ -125,6 +368,7 @@ const mongo = {
   },
   async deleteSession(id) {
     await sessionResumesCol.deleteMany({ session_id: id });
+    await evaluationsCol.deleteMany({ session_id: id });
     await sessionsCol.deleteOne({ id });
   },
   async insertTemplate(id, title, description) {
@@ -139,8 +383,219 @@ const mongo = {
   async bulkUpdateTags(resumeIds, tag) {
     await resumesCol.updateMany({ id: { $in: resumeIds } }, { $set: { tag } });
   },
+  // A resume's score in one run of a session. `claimed_score` is the total the model reported,
+  // `score` is recomputed from the criteria; `knockout` is { threshold, failed: [{ name, score }] }
+  // when a must-have criterion scored under the threshold, else null.
+  async upsertEvaluation(sessionId, run, resumeId, fields, { onlyIfMissing = false } = {}) {
+    const now = new Date().toISOString();
+    const update = onlyIfMissing
+      ? { $setOnInsert: { ...fields, created_at: now, updated_at: now } }
+      : { $set: { ...fields, updated_at: now }, $setOnInsert: { created_at: now } };
+    await evaluationsCol.updateOne({ session_id: sessionId, run, resume_id: resumeId }, update, { upsert: true });
+  },
+  // From `run`, or the latest run that scored the resume
+  async getEvaluation(sessionId, resumeId, run = null) {
+    if (run) return evaluationsCol.findOne({ session_id: sessionId, run, resume_id: resumeId });
+    return evaluationsCol.findOne({ session_id: sessionId, resume_id: resumeId }, { sort: { run: -1 } });
+  },
+  async getLatestEvaluation(resumeId) {
+    return evaluationsCol.findOne({ resume_id: resumeId }, { sort: { updated_at: -1 } });
+  },
+  // An evaluation from a blind-screened session that still hides the candidate, or null
+  async getHiddenBlindEvaluation(resumeId) {
+    return evaluationsCol.findOne({ resume_id: resumeId, 'blind.label': { $exists: true }, 'blind.revealed_at': null });
+  },
+  // Reveal the candidate in every run of `sessionId` (every session when null)
+  async revealEvaluations(resumeId, sessionId = null) {
+    await evaluationsCol.updateMany(
+      { resume_id: resumeId, 'blind.label': { $exists: true }, 'blind.revealed_at': null, ...(sessionId ? { session_id: sessionId } : {}) },
+      { $set: { 'blind.revealed_at': new Date().toISOString() } },
+    );
+  },
+  async getPromptVersions(name) {
+    return promptsCol.find({ name }).sort({ version: -1 }).toArray();
+  },
+  async getPromptVersion(name, version) {
+    return promptsCol.findOne({ name, version });
+  },
+  async getActivePrompts() {
+    return promptsCol.find({ active: true }).toArray();
+  },
+  // Versions are never edited: a change is stored as the next version
+  async insertPromptVersion(name, body, note) {
+    const latest = await promptsCol.findOne({ name }, { sort: { version: -1 } });
+    const doc = { name, version: (latest ? latest.version : 0) + 1, body, note: note || null, active: false, created_at: new Date().toISOString() };
+    await promptsCol.insertOne(doc);
+    return doc;
+  },
+  async activatePromptVersion(name, version) {
+    await promptsCol.updateMany({ name, version: { $ne: version } }, { $set: { active: false } });
+    await promptsCol.updateOne({ name, version }, { $set: { active: true } });
+  },
+  // One record per model call (see callModel). Kept when a session is deleted: spend already happened.
+  async insertUsage(record) {
+    await usageCol.insertOne(record);
+  },
+  // Totals of a session's calls, per run
+  async getSessionUsage(sessionId) {
+    return usageCol.aggregate([
+      { $match: { session_id: sessionId } },
+      { $group: { _id: '$run', ...USAGE_TOTALS } },
+      { $sort: { _id: 1 } },
+    ]).toArray();
+  },
+  // Totals of the calls made in [from, to) (ISO timestamps), grouped by `group`
+  // (a $group _id expression over the usage fields)
+  async getUsageTotals(from, to, group) {
+    return usageCol.aggregate([
+      { $match: { created_at: { $gte: from, $lt: to } } },
+      { $group: { _id: group, ...USAGE_TOTALS } },
+      { $sort: { _id: 1 } },
+    ]).toArray();
+  },
+  async getCachedScore(key) {
+    return scoreCacheCol.findOneAndUpdate(
+      { key },
+      { $inc: { hits: 1 }, $set: { last_hit_at: new Date().toISOString() } },
+      { returnDocument: 'after' },
+    );
+  },
+  async putCachedScore(key, { provider, model, promptVersion, templateVersion }, result) {
+    await scoreCacheCol.updateOne({ key }, {
+      $set: {
+        key, provider, model, prompt_version: promptVersion, template_version: templateVersion,
+        score: result.score, claimed_score: result.claimedTotal, reasoning: result.reasoning, sub_scores: result.subScores,
+        created_at: new Date().toISOString(),
+      },
+      $setOnInsert: { hits: 0, last_hit_at: null },
+    }, { upsert: true });
+  },
+  async insertJob(id, params) {
+    const now = new Date().toISOString();
+    const doc = {
+      id, status: 'running',
+      job_title: params.jobTitle, job_description: params.jobDescription, criteria: params.criteria || null,
+      blind_mode: !!params.blindMode, translate: !!params.translate, force_rescore: !!params.force, resume_ids: params.resumeIds,
+      knockout_threshold: params.knockoutThreshold, auto_reject: !!params.autoReject, ensemble_runs: params.ensembleRuns || 1,
+      // Evaluations are written under this session and run while scoring. A new session
+      // is created at the end; a rescore (run > 1) adds the run to its existing session.
+      target_session_id: params.sessionId || Date.now().toString(36) + Math.random().toString(36).substr(2, 9),
+      target_run: params.run || 1,
+      append_to_session: !!params.append,
+      total: params.resumeIds.length, completed: 0, session_id: null, error: null, events: [],
+      created_at: now, updated_at: now, finished_at: null,
+    };
+    await jobsCol.insertOne(doc);
+    return doc;
+  },
+  async getJob(id) {
+    return jobsCol.findOne({ id });
+  },
+  async getRunningJobs() {
+    return jobsCol.find({ status: 'running' }).toArray();
+  },
+  async appendJobEvent(id, event, fields = {}) {
+    await jobsCol.updateOne({ id }, { $push: { events: event }, $set: { ...fields, updated_at: new Date().toISOString() } });
+  },
+  async updateJob(id, fields) {
+    await jobsCol.updateOne({ id }, { $set: { ...fields, updated_at: new Date().toISOString() } });
+  },
 };
 
+// Minimum estimated text similarity (0-1) for two resumes to count as near duplicates
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.85;
+
+// --- Blind screening ---
+// Evaluations from a blind-screened session keep `blind: { label, redacted_text, redactions, revealed_at }`
+// (see withEvaluation), so a candidate is anonymized and revealed per session.
+// Until a recruiter reveals the candidate, every API response shows the label
+// and the redacted text instead of the name, filename and original text.
+
+function isBlind(resume) {
+  return !!(resume.blind && !resume.blind.revealed_at);
+}
+
+function blindNamesFor(resume, candidateName) {
+  return [candidateName, resume.contact?.name, resume.profile?.contact?.name, resume.cover_letter?.from_name];
+}
+
+// `scoringText` is what will be sent for scoring (raw_text or its translation)
+function buildBlindRecord(resume, candidateName, scoringText) {
+  const { text, redactions } = redactText(scoringText, { names: blindNamesFor(resume, candidateName) });
+  return {
+    label: `Candidate ${resume.id.slice(-5).toUpperCase()}`,
+    redacted_text: text,
+    redactions,
+    revealed_at: null,
+  };
+}
+
+// Names that were redacted, so related text (cover letter, profile) can be redacted the same way
+function blindNames(resume) {
+  return (resume.blind?.redactions || []).filter(r => r.type === 'name').map(r => r.value);
+}
+
+function languageInfo(resume) {
+  return {
+    language: resume.language ? resume.language.code : null,
+    languageName: resume.language ? resume.language.name : null,
+    hasTranslation: !!resume.translated_text,
+  };
+}
+
+// Candidate name / filename / contact details as they may be shown right now
+function displayIdentity(resume) {
+  if (isBlind(resume)) {
+    return { candidateName: resume.blind.label, originalName: `${resume.blind.label}${path.extname(resume.original_name)}`, contact: null, blind: true };
+  }
+  return { candidateName: resume.candidate_name, originalName: resume.original_name, contact: contactView(resume.contact), blind: false };
+}
+
+// --- Knockout gates ---
+// A must-have criterion scored under the threshold knocks the candidate out: they
+// rank below every passing candidate and can be auto-tagged "reject".
+const KNOCKOUT_THRESHOLD_ENV = parseInt(process.env.KNOCKOUT_THRESHOLD, 10);
+const KNOCKOUT_THRESHOLD = Number.isNaN(KNOCKOUT_THRESHOLD_ENV) ? 50 : Math.min(100, Math.max(0, KNOCKOUT_THRESHOLD_ENV));
+
+// A resume with the score fields (score, claimed_score, reasoning, sub_scores,
+// knockout, prompt_version) of one evaluation; all null when it wasn't scored
+function withEvaluation(resume, evaluation) {
+  return {
+    ...resume,
+    score: evaluation?.score ?? null,
+    claimed_score: evaluation?.claimed_score ?? null,
+    reasoning: evaluation?.reasoning ?? null,
+    sub_scores: evaluation?.sub_scores ?? null,
+    knockout: evaluation?.knockout ?? null,
+    blind: evaluation?.blind ?? null,
+    // Scores from before prompt templates used the built-in prompt, version 1
+    prompt_version: evaluation ? evaluation.prompt_version ?? 1 : null,
+  };
+}
+
+function knockoutInfo(resume) {
+  const failed = resume.knockout?.failed || [];
+  return { knockedOut: failed.length > 0, failedGates: failed };
+}
+
+// Passing candidates by score, then knocked-out ones by score, then failures
+function rankResults(a, b) {
+  const tier = r => (r.error ? 2 : r.knockedOut ? 1 : 0);
+  return tier(a) - tier(b) || (b.score || 0) - (a.score || 0);
+}
+
+function contactView(contact) {
+  if (!contact) return null;
+  return {
+    emails: contact.emails,
+    phones: contact.phones,
+    linkedin: contact.linkedin,
+    github: contact.github,
+    websites: contact.websites,
+    location: contact.location,
+  };
+}
+
 // Track locally deployed instances: { port: childProcess }
 const localDeployments = {};
 
@@ -160,9 +615,9 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['.pdf', '.doc', '.docx', '.txt', '.html', '.htm', '.rtf', '.zip'];
+  const allowedTypes = ['.pdf', '.doc', '.docx', '.odt', '.txt', '.md', '.markdown', '.json', '.html', '.htm', '.rtf', '.eml', '.msg'];
   const ext = path.extname(file.originalname).toLowerCase();
-  if (allowedTypes.includes(ext)) {
+  if (allowedTypes.includes(ext) || archiveType(file.originalname)) {
     cb(null, true);
   } else {
     cb(new Error(`Unsupported file type: ${ext}`), false);
@@ -175,17 +630,89 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 },
 });
 
+// MIME types for serving stored originals
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.markdown': 'text/markdown; charset=utf-8',
+  '.json': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.rtf': 'application/rtf',
+};
+
+function contentTypeFor(filename) {
+  return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
 // --- Text extraction ---
 
+// Below this many characters we treat the extraction as failed
+const MIN_TEXT_LENGTH = 50;
+
+// Returns { text, ocr, profile }:
+// - `ocr` is { confidence, pages } when the text came from OCR, else null
+// - `profile` is set when the format is already structured (JSON Resume), else null
 async function extractText(filePath, originalName) {
   const ext = path.extname(originalName).toLowerCase();
 
-  switch (ext) {
-    case '.pdf': {
-      const buffer = fs.readFileSync(filePath);
-      const data = await pdfParse(buffer);
-      return data.text;
+  if (ext === '.pdf') {
+    const buffer = fs.readFileSync(filePath);
+    const data = await pdfParse(buffer);
+    if (data.text && data.text.trim().length >= MIN_TEXT_LENGTH) {
+      return { text: data.text, ocr: null, profile: null };
     }
+    // Little or no text layer — most likely a scan, so OCR the rendered pages
+    const result = await ocrPdf(buffer);
+    return { text: result.text, ocr: { confidence: result.confidence, pages: result.pages }, profile: null };
+  }
+
+  if (ext === '.json') {
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, ''));
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    if (!isJsonResume(doc)) throw new Error('JSON file is not in JSON Resume format');
+    return { text: jsonResumeToText(doc), ocr: null, profile: jsonResumeToProfile(doc) };
+  }
+
+  return { text: await extractDocumentText(filePath, ext), ocr: null, profile: null };
+}
+
+// OpenDocument text: paragraphs and headings live in content.xml
+async function extractOdtText(filePath) {
+  const zip = new AdmZip(filePath);
+  const entry = zip.getEntry('content.xml');
+  if (!entry) throw new Error('Invalid ODT file (missing content.xml)');
+  // Inflated with the archive size limits, so a crafted .odt can't exhaust memory
+  let content;
+  try {
+    content = await readZipEntry(entry);
+  } catch (err) {
+    throw new Error(`Invalid ODT file (content.xml ${err.message})`);
+  }
+  const xml = content.toString('utf-8')
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (m, n) => ' '.repeat(parseInt(n, 10) || 1));
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const lines = [];
+  $('text\\:h, text\\:p').each((i, el) => {
+    // Nested paragraphs (e.g. inside frames) are visited on their own
+    if ($(el).parents('text\\:p').length > 0) return;
+    lines.push($(el).text());
+  });
+  return lines.join('\n');
+}
+
+async function extractDocumentText(filePath, ext) {
+  switch (ext) {
     case '.docx': {
       const result = await mammoth.extractRawText({ path: filePath });
       return result.value;
@@ -195,9 +722,16 @@ async function extractText(filePath, originalName) {
       const doc = await extractor.extract(filePath);
       return doc.getBody();
     }
+    case '.odt': {
+      return extractOdtText(filePath);
+    }
     case '.txt': {
       return fs.readFileSync(filePath, 'utf-8');
     }
+    case '.md':
+    case '.markdown': {
+      return markdownToText(fs.readFileSync(filePath, 'utf-8'));
+    }
     case '.html':
     case '.htm': {
       const html = fs.readFileSync(filePath, 'utf-8');
@@ -220,124 +754,189 @@ async function extractText(filePath, originalName) {
   }
 }
 
-// --- Claude API functions ---
+// --- AI functions (provider and model per operation: see lib/llm.js) ---
+
+// --- Usage accounting ---
+// Every model call is logged to `llm_usage` with its tokens, cost (lib/usage),
+// latency and what it was for. `context` ({ sessionId, run, jobTitle, resumeId, jobId },
+// all optional) attributes the call to a session and job title for the usage reports.
+// Calls that fail without a response consumed nothing and aren't logged.
+async function callModel(operation, request, { context = {}, ...options } = {}) {
+  const result = await llm.complete(operation, request, options);
+  const { inputTokens = null, outputTokens = null } = result.usage || {};
+  // Accounting must never fail the call it accounts for
+  mongo.insertUsage({
+    operation, provider: result.provider, model: result.model,
+    input_tokens: inputTokens, output_tokens: outputTokens, cost: callCost(result.model, inputTokens, outputTokens),
+    latency_ms: result.latencyMs,
+    session_id: context.sessionId || null, run: context.run || null, job_title: context.jobTitle || null,
+    resume_id: context.resumeId || null, job_id: context.jobId || null,
+    created_at: new Date().toISOString(),
+  }).catch(err => console.error(`Could not record ${operation} usage: ${err.message}`));
+  return result;
+}
 
-async function extractCandidateName(resumeText) {
-  const message = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 100,
-    messages: [
-      {
-        role: 'user',
-        content: `Extract the candidate's full name from this resume. Return ONLY the name, nothing else. If you cannot determine the name, return "Unknown Candidate".\n\nResume text:\n${resumeText.substring(0, 2000)}`,
-      },
-    ],
-  });
-  return message.content[0].text.trim();
+// --- Prompt templates ---
+// The active version of each prompt (see lib/prompts), kept in memory and
+// reloaded whenever a version is activated
+const activePrompts = {};
+
+async function loadActivePrompts() {
+  for (const doc of await mongo.getActivePrompts()) activePrompts[doc.name] = { version: doc.version, body: doc.body };
 }
 
-async function scoreResume(resumeText, jobTitle, jobDescription, criteria) {
-  const hasCriteria = Array.isArray(criteria) && criteria.length > 0;
+function activePrompt(name) {
+  return activePrompts[name] || { version: 1, body: PROMPTS[name].body };
+}
 
-  let criteriaBlock;
-  if (hasCriteria) {
-    criteriaBlock = criteria.map((c, i) =>
-      `${i + 1}. "${c.name}" (${c.priority}, weight: ${c.weight}%)`
-    ).join('\n');
-  } else {
-    criteriaBlock = [
-      '1. "Skills Match" (weight: 25%)',
-      '2. "Experience Level" (weight: 25%)',
-      '3. "Education" (weight: 25%)',
-      '4. "Culture Fit" (weight: 25%)',
-    ].join('\n');
-  }
-
-  const message = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 2048,
-    messages: [
-      {
-        role: 'user',
-        content: `You are an expert recruiter and resume evaluator. Score the following resume against the provided job description using the weighted criteria below.
-
-Job Title: ${jobTitle}
-
-Job Description:
-${jobDescription}
-
-Scoring Criteria:
-${criteriaBlock}
-
-Resume:
-${resumeText.substring(0, 50000)}
-
-Respond in EXACTLY this JSON format (no markdown, no code blocks):
-{
-  "criteria": [
-    { "name": "<criterion name>", "weight": <weight as integer>, "score": <0-100>, "reasoning": "<1-2 sentences>" }
-  ],
-  "total": <weighted total score 0-100>,
-  "reasoning": "<2-4 sentences overall assessment>"
-}
-
-Score each criterion independently from 0 to 100. The "total" must be the weighted average of all criterion scores (sum of score*weight/100).
-
-Score guidelines per criterion:
-- 90-100: Excellent match for this criterion
-- 70-89: Strong match
-- 50-69: Moderate match
-- 30-49: Weak match
-- 0-29: Poor match`,
-      },
-    ],
-  });
+function renderPrompt(name, values, template = activePrompt(name)) {
+  return renderTemplate(name, template.body, values);
+}
 
-  const responseText = message.content[0].text.trim();
-  try {
-    const parsed = JSON.parse(responseText);
-    return {
-      score: parsed.total,
-      reasoning: parsed.reasoning,
-      subScores: { criteria: parsed.criteria, total: parsed.total },
-    };
-  } catch {
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
+async function extractCandidateName(resumeText, options = {}) {
+  const { text } = await callModel('name', {
+    maxTokens: 100,
+    prompt: renderPrompt('name', { resume: resumeText }),
+  }, options);
+  return text;
+}
+
+// Repair round-trips allowed when the model's structured output doesn't validate
+const SCORE_REPAIR_ATTEMPTS = 2;
+
+// `template` is the scoring prompt version to use (default: the active one); the
+// result's `promptVersion` records it
+async function scoreResume(resumeText, jobTitle, jobDescription, criteria, { template = activePrompt('score'), ...options } = {}) {
+  const requested = Array.isArray(criteria) && criteria.length > 0 ? criteria : DEFAULT_CRITERIA;
+  const prompt = renderPrompt('score', {
+    job_title: jobTitle, job_description: jobDescription, criteria: formatCriteria(requested), resume: resumeText,
+  }, template);
+
+  let attemptPrompt = prompt;
+  let errors = [];
+  for (let attempt = 1; attempt <= 1 + SCORE_REPAIR_ATTEMPTS; attempt++) {
+    const { text, data } = await callModel('score', { prompt: attemptPrompt, maxTokens: 2048, schema: SCORE_SCHEMA }, options);
+    const result = data ? validateScoreOutput(data, requested) : { errors: ['Response was not valid JSON'], value: null };
+    if (result.value) {
+      // The model's arithmetic is not trusted: the total is recomputed from the
+      // criterion scores and the claimed one is kept only to audit drift
+      const total = weightedTotal(result.value.criteria);
       return {
-        score: parsed.total || 0,
-        reasoning: parsed.reasoning || 'Failed to parse AI response.',
-        subScores: parsed.criteria ? { criteria: parsed.criteria, total: parsed.total } : null,
+        score: total,
+        claimedTotal: result.value.total,
+        reasoning: result.value.reasoning,
+        subScores: { criteria: result.value.criteria, total, claimedTotal: result.value.total },
+        promptVersion: template.version,
       };
     }
-    return { score: 0, reasoning: 'Failed to parse AI response.', subScores: null };
+
+    errors = result.errors;
+    // Show the model what it sent and what was wrong with it
+    attemptPrompt = `${prompt}
+
+Your previous response could not be accepted:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${text.substring(0, 8000)}
+
+Respond again with the corrected JSON only.`;
   }
+  // A distinct failure (code INVALID_MODEL_OUTPUT), never a score of 0
+  const err = new Error(`Could not get a valid score from the model after ${1 + SCORE_REPAIR_ATTEMPTS} attempts: ${errors.slice(0, 3).join('; ')}`);
+  err.code = 'INVALID_MODEL_OUTPUT';
+  throw err;
 }
 
-async function cleanResumeText(resumeText) {
-  const message = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 4096,
-    messages: [
-      {
-        role: 'user',
-        content: `You are a professional resume editor. Clean the following resume text by:
-1. Fixing all spelling errors and typos
-2. Correcting grammar and punctuation
-3. Improving sentence structure where needed
-4. Maintaining the original content, meaning, and formatting structure
-5. Do NOT add new information or remove existing content
-6. Keep section headers, dates, and factual details exactly as they are
+// --- Score cache ---
+// Scores are cached by a hash of everything that determines them: the scored text
+// (after translation / redaction), job title and description, criteria, the
+// provider and model, the number of ensemble runs and the prompt template version. Bump SCORE_PROMPT_VERSION
+// whenever the schema or the way the prompt is built in code changes, so old
+// entries stop matching.
+const SCORE_PROMPT_VERSION = 2;
+
+function scoreCacheKey(scoredText, jobTitle, jobDescription, criteria, { provider, model }, runs, templateVersion) {
+  const parts = [SCORE_PROMPT_VERSION, provider, model, jobTitle, jobDescription, criteria || null, scoredText, runs, templateVersion];
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
 
-Return ONLY the cleaned resume text, nothing else (no preamble, no explanation).
+// --- Ensemble scoring ---
+// Scores drift between runs, so a resume can be scored `runs` times and combined
+// (median per criterion; see combineRuns). The runs go out in parallel. Runs that
+// fail are left out as long as at least one succeeds; `ensemble.runs` counts the
+// ones that did, even when only one is left.
+const MAX_ENSEMBLE_RUNS = 5;
+
+async function scoreResumeEnsemble(resumeText, jobTitle, jobDescription, criteria, runs, options = {}) {
+  if (runs <= 1) return scoreResume(resumeText, jobTitle, jobDescription, criteria, options);
+  const settled = await Promise.allSettled(
+    Array.from({ length: runs }, () => scoreResume(resumeText, jobTitle, jobDescription, criteria, options))
+  );
+  const succeeded = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+  if (succeeded.length === 0) throw settled[0].reason;
+  if (succeeded.length > 1) return combineRuns(succeeded);
+  const [only] = succeeded;
+  return { ...only, subScores: { ...only.subScores, ensemble: { runs: 1, totals: [only.score], min: only.score, max: only.score } } };
+}
 
-Resume text:
-${resumeText}`,
-      },
-    ],
-  });
-  return message.content[0].text.trim();
+// scoreResume (or an ensemble of `runs`), unless an identical request was scored before.
+// `force` skips the lookup (the fresh score still replaces the cached one). Adds `cached` to the result.
+async function scoreResumeCached(resumeText, jobTitle, jobDescription, criteria, { force = false, runs = 1, ...options } = {}) {
+  const target = llm.resolveOperation('score');
+  // Every run of an ensemble uses the same version, even if another is activated meanwhile
+  const template = activePrompt('score');
+  const key = scoreCacheKey(resumeText, jobTitle, jobDescription, criteria, target, runs, template.version);
+
+  if (!force) {
+    const hit = await mongo.getCachedScore(key);
+    if (hit) {
+      return {
+        score: hit.score, claimedTotal: hit.claimed_score, reasoning: hit.reasoning, subScores: hit.sub_scores,
+        promptVersion: hit.template_version, cached: true,
+      };
+    }
+  }
+
+  const result = {
+    ...await scoreResumeEnsemble(resumeText, jobTitle, jobDescription, criteria, runs, { ...options, template }),
+    promptVersion: template.version,
+  };
+  // An ensemble that lost runs isn't cached, so the next request tries all of them again
+  if (runs <= 1 || result.subScores.ensemble.runs === runs) {
+    await mongo.putCachedScore(key, { ...target, promptVersion: SCORE_PROMPT_VERSION, templateVersion: template.version }, result);
+  }
+  return { ...result, cached: false };
+}
+
+async function cleanResumeText(resumeText, options = {}) {
+  const { text } = await callModel('clean', {
+    maxTokens: 4096,
+    prompt: renderPrompt('clean', { resume: resumeText }),
+  }, options);
+  return text;
+}
+
+async function translateResumeText(resumeText, languageName, options = {}) {
+  const { text } = await callModel('translate', {
+    maxTokens: 8192,
+    prompt: renderPrompt('translate', { language: languageName, resume: resumeText }),
+  }, options);
+  return text;
+}
+
+// The text a resume is scored on: its English translation when translate-first is
+// on and the resume isn't in English (translations are stored and reused), else raw_text
+async function scoringTextFor(resume, translate, options = {}) {
+  const language = resume.language;
+  if (!translate || !language || language.code === 'en') {
+    return { text: resume.raw_text, languageCode: language ? language.code : null, translated: false };
+  }
+  if (!resume.translated_text) {
+    resume.translated_text = await translateResumeText(resume.raw_text, language.name, options);
+    await mongo.updateResumeTranslation(resume.translated_text, resume.id);
+  }
+  return { text: resume.translated_text, languageCode: 'en', translated: true };
 }
 
 // --- Auth middleware ---
@@ -384,77 +983,314 @@ app.use('/api', generalLimiter);
 // --- API Endpoints ---
 
 // Upload resumes
-const RESUME_EXTENSIONS = ['.pdf', '.doc', '.docx', '.txt', '.html', '.htm', '.rtf'];
+const RESUME_EXTENSIONS = ['.pdf', '.doc', '.docx', '.odt', '.txt', '.md', '.markdown', '.json', '.html', '.htm', '.rtf'];
+
+// `email` (optional) is the parsed message the file was attached to
+// Files are extracted in parallel (UPLOAD_CONCURRENCY), but the duplicate lookup and
+// the insert that makes a resume findable run one at a time, so two copies of the
+// same resume in one upload see each other
+let duplicateCheckQueue = Promise.resolve();
+
+function withDuplicateCheckLock(fn) {
+  const result = duplicateCheckQueue.then(fn);
+  duplicateCheckQueue = result.catch(() => {});
+  return result;
+}
 
-async function processOneFile(filePath, originalName) {
+async function processOneFile(filePath, originalName, { email = null } = {}) {
   const id = Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
   try {
-    const rawText = await extractText(filePath, originalName);
-    if (!rawText || rawText.trim().length < 50) {
-      return { id, originalName, success: false, error: 'Could not extract sufficient text from file (possibly scanned/image-based)' };
+    const { text: rawText, ocr, profile: structuredProfile } = await extractText(filePath, originalName);
+    if (!rawText || rawText.trim().length < MIN_TEXT_LENGTH) {
+      const error = ocr
+        ? 'Could not extract sufficient text from file (OCR found no readable text)'
+        : 'Could not extract sufficient text from file (possibly scanned/image-based)';
+      return { id, originalName, success: false, error };
     }
-    await mongo.insertResume(id, originalName, path.extname(originalName).toLowerCase(), rawText);
-    return { id, originalName, success: true };
+    const profile = structuredProfile || parseResume(rawText);
+    let coverLetter = null;
+    if (email) {
+      // The sender is the candidate's contact address even if the resume itself lists none
+      profile.contact.senderEmail = email.from.address;
+      if (!profile.contact.email) profile.contact.email = email.from.address;
+      coverLetter = {
+        subject: email.subject, body: email.body, from: email.from.address, from_name: email.from.name,
+        sent_at: email.date, message_file: email.messageFile,
+      };
+    }
+    const contact = extractContact(rawText, { headerName: profile.contact.name, senderName: email ? email.from.name : null });
+    if (email && email.from.address && !contact.emails.includes(email.from.address)) contact.emails.push(email.from.address);
+    const fingerprint = fingerprintText(rawText);
+    const language = detectLanguage(rawText);
+    // Keep the uploaded binary — the temp file is removed once extraction is done
+    const originalFileId = await mongo.storeOriginal(id, filePath, originalName);
+    let dup;
+    try {
+      dup = await withDuplicateCheckLock(async () => {
+        const found = await mongo.findDuplicateResume(fingerprint);
+        await mongo.insertResume(id, originalName, path.extname(originalName).toLowerCase(), rawText, {
+          ocr, profile, fingerprint, duplicateOf: found ? found.resume.id : null, coverLetter, language, originalFileId, contact,
+        });
+        return found;
+      });
+    } catch (err) {
+      await mongo.deleteOriginal(originalFileId);
+      throw err;
+    }
+    return {
+      id, originalName, success: true,
+      language: language ? language.code : null,
+      sourceEmail: email ? email.messageFile : undefined,
+      ocr: !!ocr, ocrConfidence: ocr ? ocr.confidence : null,
+      duplicate: dup ? {
+        resumeId: dup.resume.id,
+        originalName: dup.resume.original_name,
+        candidateName: dup.resume.candidate_name,
+        match: dup.match,
+        similarity: Math.round(dup.similarity * 100) / 100,
+      } : null,
+    };
   } catch (err) {
     return { id, originalName, success: false, error: err.message };
   }
 }
 
-app.post('/api/upload', upload.array('resumes', 100), async (req, res) => {
+// Unpack an email and run every supported attachment through processOneFile;
+// the message body is kept as the cover letter for each resulting resume
+async function processEmailFile(filePath, originalName) {
+  const failed = (error) => [{ id: Date.now().toString(36), originalName, success: false, error }];
+  let email;
   try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
+    email = await parseEmailFile(filePath, originalName);
+  } catch (err) {
+    return failed(`Email parsing failed: ${err.message}`);
+  }
+  email.messageFile = originalName;
+
+  const attachments = email.attachments.filter(a => RESUME_EXTENSIONS.includes(path.extname(a.filename).toLowerCase()));
+  if (attachments.length === 0) {
+    return failed('No supported resume attachments found in email');
+  }
+
+  const results = [];
+  for (const attachment of attachments) {
+    const tmpPath = path.join(uploadsDir, `mail-${Date.now()}-${Math.random().toString(36).substr(2, 6)}${path.extname(attachment.filename).toLowerCase()}`);
+    fs.writeFileSync(tmpPath, attachment.content);
+    try {
+      results.push(await processOneFile(tmpPath, attachment.filename, { email }));
+    } finally {
+      fs.unlink(tmpPath, () => {});
     }
+  }
+  return results;
+}
+
+// Process a single uploaded (or archive-extracted) file; emails can yield several resumes
+async function ingestFile(filePath, originalName) {
+  if (EMAIL_EXTENSIONS.includes(path.extname(originalName).toLowerCase())) {
+    return processEmailFile(filePath, originalName);
+  }
+  return [await processOneFile(filePath, originalName)];
+}
 
-    const results = [];
-
-    for (const file of req.files) {
-      const ext = path.extname(file.originalname).toLowerCase();
-
-      if (ext === '.zip') {
-        // Extract ZIP and process each resume inside
-        try {
-          const zip = new AdmZip(file.path);
-          const entries = zip.getEntries();
-
-          for (const entry of entries) {
-            if (entry.isDirectory) continue;
-            const entryName = entry.entryName;
-            // Skip hidden files and __MACOSX
-            if (entryName.startsWith('.') || entryName.startsWith('__MACOSX') || entryName.includes('/__MACOSX/') || entryName.includes('/.')) continue;
-
-            const entryExt = path.extname(entryName).toLowerCase();
-            if (!RESUME_EXTENSIONS.includes(entryExt)) continue;
-
-            if (results.length >= 100) break;
-
-            // Write entry to temp file for extraction
-            const tmpPath = path.join(uploadsDir, `zip-${Date.now()}-${Math.random().toString(36).substr(2, 6)}${entryExt}`);
-            fs.writeFileSync(tmpPath, entry.getData());
-            try {
-              const result = await processOneFile(tmpPath, path.basename(entryName));
-              results.push(result);
-            } finally {
-              fs.unlink(tmpPath, () => {});
-            }
-          }
-        } catch (zipErr) {
-          results.push({ id: Date.now().toString(36), originalName: file.originalname, success: false, error: `ZIP extraction failed: ${zipErr.message}` });
+// --- Upload batches ---
+// Uploads are accepted immediately and extracted in the background with bounded
+// concurrency. Per-file status (queued → extracting → done / failed) is streamed
+// from GET /api/upload/:batchId/events.
+const UPLOAD_CONCURRENCY = Math.max(1, parseInt(process.env.UPLOAD_CONCURRENCY, 10) || 4);
+const MAX_FILES_PER_BATCH = 100;
+const BATCH_TTL_MS = 10 * 60 * 1000; // keep finished batches around for late subscribers
+const uploadBatches = new Map();
+
+function createUploadBatch() {
+  const batch = {
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2, 9),
+    items: [], queue: [], active: 0, fileCount: 0,
+    sealed: false, done: false, listeners: new Set(),
+  };
+  uploadBatches.set(batch.id, batch);
+  return batch;
+}
+
+function fileStatus(item) {
+  return { key: item.key, name: item.name, parent: item.parent, status: item.status, error: item.error, results: item.results };
+}
+
+function emitBatchEvent(batch, eventType, data) {
+  for (const send of batch.listeners) send(eventType, data);
+}
+
+function setItemStatus(batch, item, status, error = null) {
+  item.status = status;
+  item.error = error;
+  emitBatchEvent(batch, 'file', fileStatus(item));
+}
+
+// Queue a unit of work. `run(item)` resolves to an array of processOneFile-style results.
+// Archives are containers: they don't count toward the per-batch file limit.
+function enqueueBatchItem(batch, name, parent, run, { container = false } = {}) {
+  const item = { key: batch.items.length, name, parent, status: 'queued', error: null, results: [] };
+  batch.items.push(item);
+
+  if (!container && ++batch.fileCount > MAX_FILES_PER_BATCH) {
+    const error = `File limit reached (${MAX_FILES_PER_BATCH} per upload)`;
+    item.results = [{ id: Date.now().toString(36), originalName: name, success: false, error }];
+    setItemStatus(batch, item, 'failed', error);
+    run.discard?.();
+    return item;
+  }
+
+  emitBatchEvent(batch, 'file', fileStatus(item));
+  batch.queue.push({ item, run });
+  pumpUploadBatch(batch);
+  return item;
+}
+
+function pumpUploadBatch(batch) {
+  while (batch.active < UPLOAD_CONCURRENCY && batch.queue.length > 0) {
+    const { item, run } = batch.queue.shift();
+    batch.active++;
+    setItemStatus(batch, item, 'extracting');
+
+    run(item)
+      .then((results) => {
+        item.results = results;
+        const failures = results.filter(r => !r.success);
+        if (results.length > 0 && failures.length === results.length) {
+          setItemStatus(batch, item, 'failed', failures[0].error);
+        } else {
+          setItemStatus(batch, item, 'done');
         }
-      } else {
-        // Regular resume file
-        if (results.length >= 100) break;
-        const result = await processOneFile(file.path, file.originalname);
-        results.push(result);
+      })
+      .catch((err) => {
+        item.results = [{ id: Date.now().toString(36), originalName: item.name, success: false, error: err.message }];
+        setItemStatus(batch, item, 'failed', err.message);
+      })
+      .finally(() => {
+        batch.active--;
+        pumpUploadBatch(batch);
+        finishBatchIfIdle(batch);
+      });
+  }
+}
+
+// Payload of a batch's `complete` event, also replayed to streams opened after it finished
+function batchSummary(batch) {
+  return {
+    batchId: batch.id,
+    uploaded: batch.items.flatMap(i => i.results),
+    skipped: batch.items.filter(i => i.status === 'skipped').map(i => ({ name: i.name, reason: i.error })),
+  };
+}
+
+function finishBatchIfIdle(batch) {
+  if (!batch.sealed || batch.done || batch.active > 0 || batch.queue.length > 0) return;
+  batch.done = true;
+  emitBatchEvent(batch, 'complete', batchSummary(batch));
+  setTimeout(() => uploadBatches.delete(batch.id), BATCH_TTL_MS).unref();
+}
+
+// Entries the archive reader left out are listed with their reason but never run
+function addSkippedItem(batch, name, parent, reason) {
+  const item = { key: batch.items.length, name, parent, status: 'skipped', error: reason, results: [] };
+  batch.items.push(item);
+  emitBatchEvent(batch, 'file', fileStatus(item));
+}
+
+// Expand an archive (nested archives included) into one queued item per supported file
+async function expandArchive(batch, archiveItem, filePath) {
+  let archive;
+  try {
+    archive = await extractArchive(filePath, archiveItem.name, {
+      accept: (name) => {
+        const ext = path.extname(name).toLowerCase();
+        return RESUME_EXTENSIONS.includes(ext) || EMAIL_EXTENSIONS.includes(ext);
+      },
+    });
+  } catch (archiveErr) {
+    throw new Error(`Archive extraction failed: ${archiveErr.message}`);
+  }
+
+  for (const file of archive.files) {
+    // Write entry to temp file for extraction
+    const tmpPath = path.join(uploadsDir, `archive-${Date.now()}-${Math.random().toString(36).substr(2, 6)}${path.extname(file.name).toLowerCase()}`);
+    fs.writeFileSync(tmpPath, file.data);
+    const run = async () => {
+      try {
+        return await ingestFile(tmpPath, file.name);
+      } finally {
+        fs.unlink(tmpPath, () => {});
       }
+    };
+    run.discard = () => fs.unlink(tmpPath, () => {});
+    enqueueBatchItem(batch, file.path, archiveItem.key, run);
+  }
+  for (const entry of archive.skipped) {
+    addSkippedItem(batch, entry.name, archiveItem.key, entry.reason);
+  }
 
-      fs.unlink(file.path, () => {});
+  if (archive.files.length === 0) {
+    throw new Error('No supported files found in archive');
+  }
+  return [];
+}
+
+app.post('/api/upload', upload.array('resumes', 100), (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+
+  const batch = createUploadBatch();
+
+  for (const file of req.files) {
+    const isArchive = archiveType(file.originalname) !== null;
+    const run = async (item) => {
+      try {
+        // Regular resume file or email message; archives fan out into their own items
+        return isArchive ? await expandArchive(batch, item, file.path) : await ingestFile(file.path, file.originalname);
+      } finally {
+        fs.unlink(file.path, () => {});
+      }
+    };
+    run.discard = () => fs.unlink(file.path, () => {});
+    enqueueBatchItem(batch, file.originalname, null, run, { container: isArchive });
+  }
+
+  batch.sealed = true;
+  finishBatchIfIdle(batch);
+  res.status(202).json({ batchId: batch.id, files: batch.items.map(fileStatus) });
+});
+
+// Stream per-file upload status (SSE). Replays the current state first, so
+// subscribing late — or reconnecting — never misses an update.
+app.get('/api/upload/:batchId/events', (req, res) => {
+  const batch = uploadBatches.get(req.params.batchId);
+  if (!batch) {
+    return res.status(404).json({ error: 'Upload batch not found' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  function sendEvent(eventType, data) {
+    res.write(`event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (eventType === 'complete') {
+      batch.listeners.delete(sendEvent);
+      res.end();
     }
+  }
 
-    res.json({ uploaded: results });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  for (const item of batch.items) sendEvent('file', fileStatus(item));
+  if (batch.done) {
+    sendEvent('complete', batchSummary(batch));
+    return;
   }
+
+  batch.listeners.add(sendEvent);
+  res.on('close', () => batch.listeners.delete(sendEvent));
 });
 
 // Generate job description from title
@@ -465,25 +1301,11 @@ app.post('/api/generate-jd', aiLimiter, express.json(), async (req, res) => {
   }
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2048,
-      messages: [
-        {
-          role: 'user',
-          content: `Generate a professional, detailed job description for the role: "${jobTitle.trim()}"
-
-Include these sections:
-- About the Role (2-3 sentence summary)
-- Responsibilities (6-8 bullet points)
-- Requirements (5-7 bullet points covering skills, experience, education)
-- Nice-to-Have (3-4 bullet points)
-
-Write in a professional but engaging tone. Use plain text with section headers and bullet points (use "- " for bullets). Do NOT use markdown formatting like ** or ##. Return ONLY the job description text, no preamble.`,
-        },
-      ],
-    });
-    res.json({ description: message.content[0].text.trim() });
+    const { text } = await callModel('jd', {
+      maxTokens: 2048,
+      prompt: renderPrompt('jd', { job_title: jobTitle.trim() }),
+    }, { context: { jobTitle: jobTitle.trim() } });
+    res.json({ description: text });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -518,111 +1340,584 @@ app.delete('/api/templates/:id', async (req, res) => {
   res.json({ success: true });
 });
 
-// Process resumes (score against job description) — streams results via SSE
-app.post('/api/process', aiLimiter, express.json({ limit: '1mb' }), async (req, res) => {
-  const { resumeIds, jobTitle, jobDescription, criteria } = req.body || {};
+// --- Prompt Templates ---
+// Every AI prompt is a versioned template (lib/prompts). Versions are immutable:
+// saving stores the next version, and any version can be made active (or rolled back to).
+function promptVersionView(doc, { withBody = false } = {}) {
+  return {
+    version: doc.version, note: doc.note, active: !!doc.active, createdAt: doc.created_at,
+    ...(withBody ? { body: doc.body, variables: templateVariables(doc.body) } : {}),
+  };
+}
 
-  if (!resumeIds || !jobTitle || !jobDescription) {
-    return res.status(400).json({ error: 'Missing required fields' });
+app.get('/api/prompts', async (req, res) => {
+  const prompts = [];
+  for (const name of PROMPT_NAMES) {
+    const versions = await mongo.getPromptVersions(name);
+    prompts.push({
+      name, label: PROMPTS[name].label, variables: PROMPTS[name].variables, required: PROMPTS[name].required,
+      activeVersion: activePrompt(name).version,
+      versions: versions.map(v => promptVersionView(v)),
+    });
   }
+  res.json({ prompts });
+});
 
-  // Set SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
-  res.flushHeaders();
+app.get('/api/prompts/:name/versions/:version', async (req, res) => {
+  if (!PROMPTS[req.params.name]) return res.status(404).json({ error: 'Unknown prompt' });
+  const doc = await mongo.getPromptVersion(req.params.name, parseInt(req.params.version, 10));
+  if (!doc) return res.status(404).json({ error: 'Prompt version not found' });
+  res.json({ name: doc.name, ...promptVersionView(doc, { withBody: true }) });
+});
 
-  function sendEvent(eventType, data) {
-    res.write(`event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`);
+// Save a new version; it only takes effect once activated (`activate: true` does both)
+app.post('/api/prompts/:name', express.json({ limit: '1mb' }), async (req, res) => {
+  const { name } = req.params;
+  if (!PROMPTS[name]) return res.status(404).json({ error: 'Unknown prompt' });
+  const { body, note = null, activate = false } = req.body || {};
+  const errors = validateTemplate(name, body);
+  if (errors.length > 0) return res.status(400).json({ error: `Invalid template: ${errors.join('; ')}` });
+
+  const doc = await mongo.insertPromptVersion(name, body, typeof note === 'string' ? note.trim().substring(0, 200) : null);
+  if (activate) {
+    await mongo.activatePromptVersion(name, doc.version);
+    await loadActivePrompts();
+    doc.active = true;
   }
+  res.status(201).json({ name, ...promptVersionView(doc, { withBody: true }) });
+});
+
+app.post('/api/prompts/:name/versions/:version/activate', async (req, res) => {
+  const { name } = req.params;
+  if (!PROMPTS[name]) return res.status(404).json({ error: 'Unknown prompt' });
+  const version = parseInt(req.params.version, 10);
+  if (!(await mongo.getPromptVersion(name, version))) return res.status(404).json({ error: 'Prompt version not found' });
+
+  await mongo.activatePromptVersion(name, version);
+  await loadActivePrompts();
+  res.json({ name, activeVersion: version });
+});
+
+// Stand-in values for previews that don't name a job or resume
+const PROMPT_PREVIEW_SAMPLES = {
+  job_title: 'Senior Software Engineer',
+  job_description: 'We are looking for a senior engineer to design, build and run backend services.\n\nRequirements\n- 5+ years of experience with Node.js or a similar stack\n- Experience with cloud infrastructure and databases',
+  language: 'Spanish',
+  resume: 'Jane Doe\njane.doe@example.com\n\nExperience\nSoftware Engineer, Acme Corp (2019 - 2024)\n- Built and operated Node.js services handling 2M requests a day\n\nEducation\nB.Sc. Computer Science, State University',
+};
+
+// Render a template without calling the model: the `body` being edited, a stored
+// `version`, or the active one. `values` may name a real job and resume:
+// { jobTitle, jobDescription, criteria, resumeId, sessionId }; anything missing uses a
+// sample. A blind-screened resume is redacted unless revealed (in `sessionId`, if given).
+app.post('/api/prompts/:name/preview', express.json({ limit: '1mb' }), async (req, res) => {
+  const { name } = req.params;
+  if (!PROMPTS[name]) return res.status(404).json({ error: 'Unknown prompt' });
+  const { body = null, version = null, values = {} } = req.body || {};
+
+  let template = activePrompt(name);
+  if (body != null) {
+    template = { version: null, body: String(body) };
+  } else if (version != null) {
+    const doc = await mongo.getPromptVersion(name, parseInt(version, 10));
+    if (!doc) return res.status(404).json({ error: 'Prompt version not found' });
+    template = { version: doc.version, body: doc.body };
+  }
+
+  const sample = { ...PROMPT_PREVIEW_SAMPLES };
+  if (values.resumeId) {
+    const view = await getResumeView(String(values.resumeId), values.sessionId || null);
+    if (!view) return res.status(404).json({ error: 'Resume not found' });
+    const { resume } = view;
+    // An anonymized candidate is previewed with their identifiers redacted
+    sample.resume = isBlind(resume) ? redactText(resume.raw_text, { names: blindNames(resume) }).text : resume.raw_text;
+    if (resume.language?.name) sample.language = resume.language.name;
+  }
+  const criteria = Array.isArray(values.criteria) && values.criteria.length > 0 ? values.criteria : DEFAULT_CRITERIA;
+  const prompt = renderPrompt(name, {
+    ...sample,
+    job_title: values.jobTitle || sample.job_title,
+    job_description: values.jobDescription || sample.job_description,
+    criteria: formatCriteria(criteria),
+  }, template);
+
+  res.json({ name, version: template.version, prompt, errors: validateTemplate(name, template.body) });
+});
+
+// Process resumes (score against job description) — streams results via SSE
+// --- Scoring ---
+const SCORING_CONCURRENCY = Math.max(1, parseInt(process.env.SCORING_CONCURRENCY, 10) || 4);
+
+// Run `worker(item, index)` over `items` with at most `limit` in flight.
+// Workers are expected to handle their own errors.
+async function runPool(items, limit, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+// --- Scoring jobs ---
+// /api/process creates a job document and scores in the background, independent
+// of the HTTP connection. Every result / complete / cancelled / error event gets a
+// sequential id and is appended to the job's `events`, so GET /api/jobs/:id/events
+// can replay from Last-Event-ID after a dropped connection, a reload or a restart.
+// Progress messages are transient: only the latest is kept and they carry no id.
+const JOB_TTL_MS = 10 * 60 * 1000; // keep finished jobs in memory for late subscribers
+const JOB_TERMINAL_EVENTS = ['complete', 'cancelled', 'error'];
+const activeJobs = new Map();
+
+function jobState(doc) {
+  const events = (doc.events || []).slice().sort((a, b) => a.id - b.id);
+  return {
+    id: doc.id,
+    status: doc.status,
+    params: {
+      resumeIds: doc.resume_ids, jobTitle: doc.job_title, jobDescription: doc.job_description,
+      criteria: doc.criteria, blindMode: doc.blind_mode, translate: doc.translate, force: doc.force_rescore,
+      knockoutThreshold: doc.knockout_threshold, autoReject: doc.auto_reject,
+      ensembleRuns: doc.ensemble_runs,
+      sessionId: doc.target_session_id,
+      run: doc.target_run,
+      append: doc.append_to_session,
+    },
+    total: doc.total,
+    sessionId: doc.session_id,
+    events,
+    seq: events.length > 0 ? events[events.length - 1].id : 0,
+    progress: null,
+    cancelRequested: false,
+    listeners: new Set(),
+    writes: Promise.resolve(),
+  };
+}
+
+function jobSummary(job) {
+  const completed = job.events.filter(e => e.event === 'result').length;
+  return {
+    id: job.id, status: job.status, total: job.total, completed, sessionId: job.sessionId,
+    jobTitle: job.params.jobTitle, blindMode: !!job.params.blindMode, run: job.params.run, appended: job.params.append,
+  };
+}
+
+// Persisted, replayable event. Writes are chained so the stored order matches the ids.
+function emitJobEvent(job, eventType, data, fields = {}) {
+  const event = { id: ++job.seq, event: eventType, data };
+  job.events.push(event);
+  const completed = job.events.filter(e => e.event === 'result').length;
+  job.writes = job.writes
+    .then(() => mongo.appendJobEvent(job.id, event, { completed, ...fields }))
+    .catch(err => console.error(`Failed to persist event ${event.id} of job ${job.id}:`, err.message));
+  for (const send of job.listeners) send(eventType, data, event.id);
+}
 
-  let aborted = false;
-  res.on('close', () => { aborted = true; });
+function emitJobProgress(job, data) {
+  job.progress = data;
+  for (const send of job.listeners) send('progress', data, null);
+}
 
+async function finishJob(job, status, eventType, data, fields = {}) {
+  job.status = status;
+  emitJobEvent(job, eventType, data, { status, finished_at: new Date().toISOString(), ...fields });
+  await job.writes;
+  setTimeout(() => activeJobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+// Score every resume of the job that has no result yet (all of them, unless the
+// job is being resumed after a restart), then create the session
+async function runScoringJob(job) {
+  const {
+    resumeIds, jobTitle, jobDescription, criteria, blindMode, translate, force, knockoutThreshold, autoReject, ensembleRuns, sessionId, run, append,
+  } = job.params;
   const total = resumeIds.length;
-  const results = [];
+  const jobLanguage = detectLanguage(jobDescription);
+  const scored = new Set(job.events.filter(e => e.event === 'result').map(e => e.data.id));
+  const pending = resumeIds.map((id, i) => ({ id, i })).filter(({ id }) => !scored.has(id));
+  let completed = scored.size;
 
-  try {
-    sendEvent('progress', { current: 0, total, message: `Starting to process ${total} resume(s)...` });
-
-    for (let i = 0; i < resumeIds.length; i++) {
-      if (aborted) break;
-      const id = resumeIds[i];
-      const resume = await mongo.getResume(id);
-
-      if (!resume) {
-        const errorResult = { id, error: 'Resume not found' };
-        results.push(errorResult);
-        sendEvent('result', errorResult);
-        continue;
-      }
+  const finish = (result) => {
+    completed++;
+    emitJobEvent(job, 'result', result);
+    emitJobProgress(job, { current: completed, total, message: `Scored ${completed} of ${total}` });
+  };
 
-      sendEvent('progress', { current: i, total, message: `Scoring resume ${i + 1} of ${total}: ${resume.original_name}...` });
+  try {
+    emitJobProgress(job, {
+      current: completed, total,
+      message: completed > 0 ? `Resuming: ${total - completed} of ${total} resume(s) left...` : `Starting to process ${total} resume(s)...`,
+    });
 
+    // Workers finish in any order; results and progress are emitted as each one completes
+    await runPool(pending, SCORING_CONCURRENCY, async ({ id, i }) => {
+      if (job.cancelRequested) return;
+      let resume = null;
       try {
-        const [candidateName, scoreResult] = await Promise.all([
-          extractCandidateName(resume.raw_text),
-          scoreResume(resume.raw_text, jobTitle, jobDescription, criteria),
-        ]);
+        resume = await mongo.getResume(id);
+        if (!resume) {
+          finish({ id, error: 'Resume not found' });
+          return;
+        }
+
+        const progressName = blindMode ? `resume ${i + 1}` : resume.original_name;
+        const onRetry = ({ attempt, delayMs, error }) => {
+          const reason = error.status === 429 ? 'Rate limited' : error.status ? `API busy (${error.status})` : 'Connection problem';
+          emitJobProgress(job, { current: completed, total, message: `${reason} while scoring ${progressName} — retry ${attempt} in ${Math.ceil(delayMs / 1000)}s...` });
+        };
+        emitJobProgress(job, { current: completed, total, message: `Scoring ${progressName} (${i + 1} of ${total})...` });
+        const aiOptions = { onRetry, context: { sessionId, run, jobTitle, resumeId: id, jobId: job.id } };
+
+        if (translate && resume.language && resume.language.code !== 'en' && !resume.translated_text) {
+          emitJobProgress(job, { current: completed, total, message: `Translating ${progressName} from ${resume.language.name}...` });
+        }
+        const scoring = await scoringTextFor(resume, translate, aiOptions);
+
+        // A name found in the header or email address, or one extracted by an
+        // earlier run (unless forcing a rescore), saves a model call
+        const knownName = resume.contact?.name || (force ? null : resume.candidate_name);
+        let candidateName, scoreResult, blind = null;
+        if (blindMode) {
+          // The name has to be known before it can be redacted from the scoring prompt
+          candidateName = knownName || await extractCandidateName(resume.raw_text, aiOptions);
+          blind = buildBlindRecord(resume, candidateName, scoring.text);
+          // A candidate revealed in an earlier run of this session stays revealed
+          const earlier = await mongo.getEvaluation(sessionId, id);
+          if (earlier?.blind?.revealed_at) blind.revealed_at = earlier.blind.revealed_at;
+          scoreResult = await scoreResumeCached(blind.redacted_text, jobTitle, jobDescription, criteria, { force, runs: ensembleRuns, ...aiOptions });
+        } else {
+          [candidateName, scoreResult] = await Promise.all([
+            knownName || extractCandidateName(resume.raw_text, aiOptions),
+            scoreResumeCached(scoring.text, jobTitle, jobDescription, criteria, { force, runs: ensembleRuns, ...aiOptions }),
+          ]);
+        }
+        // Pin each evidence quote to its place in the original text (or the translation it was scored on)
+        scoreResult.subScores = {
+          ...scoreResult.subScores,
+          criteria: locateEvidence(scoreResult.subScores.criteria, [
+            { source: 'original', text: resume.raw_text },
+            { source: 'translation', text: scoring.translated ? scoring.text : resume.translated_text },
+          ]),
+        };
 
-        await mongo.updateResumeScore(candidateName, scoreResult.score, scoreResult.reasoning, JSON.stringify(scoreResult.subScores), id);
+        const gates = failedGates(scoreResult.subScores.criteria, criteria, knockoutThreshold);
+        await mongo.upsertEvaluation(sessionId, run, id, {
+          score: scoreResult.score, claimed_score: scoreResult.claimedTotal, reasoning: scoreResult.reasoning,
+          sub_scores: JSON.stringify(scoreResult.subScores),
+          knockout: gates.length > 0 ? { threshold: knockoutThreshold, failed: gates } : null,
+          prompt_version: scoreResult.promptVersion,
+          blind,
+        });
+        await mongo.updateResumeName(candidateName, id);
+
+        // Auto-reject never overrides a tag someone already gave the candidate
+        let tag = resume.tag || null;
+        if (gates.length > 0 && autoReject && !tag) {
+          tag = 'reject';
+          await mongo.updateResumeTag(tag, id);
+        }
 
-        const result = {
+        finish({
           id: resume.id,
-          candidateName,
+          sessionId,
+          ...displayIdentity({ ...resume, candidate_name: candidateName, blind }),
           score: scoreResult.score,
           reasoning: scoreResult.reasoning,
           subScores: scoreResult.subScores,
-          originalName: resume.original_name,
-        };
-        results.push(result);
-        sendEvent('result', result);
+          ocrConfidence: resume.ocr_confidence ?? null,
+          ...languageInfo(resume),
+          translated: scoring.translated,
+          cached: scoreResult.cached,
+          knockedOut: gates.length > 0,
+          failedGates: gates,
+          scoreRange: scoreRange(scoreResult.subScores),
+          promptVersion: scoreResult.promptVersion,
+          tag,
+          // Scored text and job description are in different languages
+          languageMismatch: !!(scoring.languageCode && jobLanguage && scoring.languageCode !== jobLanguage.code),
+        });
       } catch (err) {
-        const errorResult = { id, originalName: resume.original_name, error: err.message };
-        results.push(errorResult);
-        sendEvent('result', errorResult);
+        finish({
+          id, originalName: blindMode ? `Resume ${i + 1}` : resume?.original_name, error: err.message,
+          invalidOutput: err.code === 'INVALID_MODEL_OUTPUT',
+        });
+      }
+    });
+
+    // A cancelled job still gets a session (or run) for whatever was scored before it stopped.
+    // Resumes added to an existing session only join it once they have a score.
+    const results = job.events.filter(e => e.event === 'result').map(e => e.data);
+    const sessionResumeIds = job.cancelRequested || append ? results.filter(r => !r.error).map(r => r.id) : resumeIds;
+    if (!job.sessionId && (append || sessionResumeIds.length > 0)) {
+      const criteriaJson = criteria ? JSON.stringify(criteria) : null;
+      if (append) {
+        const linked = new Set(await mongo.getSessionResumeIds(sessionId));
+        await mongo.insertSessionResumes(sessionId, sessionResumeIds.filter(rid => !linked.has(rid)), new Date().toISOString());
+      } else if (run > 1) {
+        await mongo.addSessionRun(sessionId, run, jobTitle, jobDescription, criteriaJson, knockoutThreshold);
+      } else if (!(await mongo.getSession(sessionId))) {
+        // (A restart can cut the job off after the session was created but before it finished)
+        await mongo.insertSession(sessionId, jobTitle, jobDescription, criteriaJson, !!blindMode, knockoutThreshold);
+        await mongo.insertSessionResumes(sessionId, sessionResumeIds);
       }
+      job.sessionId = sessionId;
+    }
 
-      sendEvent('progress', { current: i + 1, total, message: `Scored ${i + 1} of ${total}` });
+    results.sort(rankResults);
+    const outcome = { results, sessionId: job.sessionId, run: job.sessionId ? run : null, appended: append };
+    if (job.cancelRequested) {
+      await finishJob(job, 'cancelled', 'cancelled', outcome, { session_id: job.sessionId });
+    } else {
+      await finishJob(job, 'complete', 'complete', outcome, { session_id: job.sessionId });
     }
+  } catch (err) {
+    await finishJob(job, 'failed', 'error', { error: err.message }, { error: err.message });
+  }
+}
 
-    // Create session
-    const sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
-    await mongo.insertSession(sessionId, jobTitle, jobDescription, criteria ? JSON.stringify(criteria) : null);
-    await mongo.insertSessionResumes(sessionId, resumeIds);
+function startScoringJob(job) {
+  activeJobs.set(job.id, job);
+  runScoringJob(job).catch(err => console.error(`Scoring job ${job.id} failed:`, err.message));
+}
+
+// Jobs still marked running were cut off by a restart: pick them up where they stopped
+async function resumeInterruptedJobs() {
+  const docs = await mongo.getRunningJobs();
+  for (const doc of docs) startScoringJob(jobState(doc));
+  if (docs.length > 0) console.log(`Resumed ${docs.length} interrupted scoring job(s)`);
+}
+
+// In-memory state for running (and recently finished) jobs, otherwise rebuilt from the document
+async function findJob(id) {
+  if (activeJobs.has(id)) return activeJobs.get(id);
+  const doc = await mongo.getJob(id);
+  return doc ? jobState(doc) : null;
+}
+
+// No criteria (null / empty) means the default four
+const hasCustomCriteria = criteria => criteria != null && !(Array.isArray(criteria) && criteria.length === 0);
+
+function normalizeCriteria(criteria) {
+  return hasCustomCriteria(criteria) ? criteria.map(c => ({ name: c.name.trim(), priority: c.priority, weight: c.weight })) : null;
+}
 
-    results.sort((a, b) => (b.score || 0) - (a.score || 0));
-    sendEvent('complete', { results, sessionId });
+// Shared checks of /api/process and /api/sessions/:id/rescore; a message for a 400, or null
+function scoringOptionsError({ criteria, knockoutThreshold, ensembleRuns }) {
+  if (knockoutThreshold != null && !(Number.isInteger(knockoutThreshold) && knockoutThreshold >= 0 && knockoutThreshold <= 100)) {
+    return 'Knockout threshold must be an integer from 0 to 100';
+  }
+  if (!(Number.isInteger(ensembleRuns) && ensembleRuns >= 1 && ensembleRuns <= MAX_ENSEMBLE_RUNS)) {
+    return `Runs per resume must be an integer from 1 to ${MAX_ENSEMBLE_RUNS}`;
+  }
+  if (hasCustomCriteria(criteria)) {
+    const criteriaErrors = validateCriteria(criteria);
+    if (criteriaErrors.length > 0) return `Invalid criteria: ${criteriaErrors.join('; ')}`;
+  }
+  return null;
+}
+
+app.post('/api/process', aiLimiter, express.json({ limit: '1mb' }), async (req, res) => {
+  const {
+    resumeIds, jobTitle, jobDescription, criteria, blindMode = false, translate = false, forceRescore = false,
+    knockoutThreshold = null, autoReject = false, ensembleRuns = 1,
+  } = req.body || {};
+
+  if (!Array.isArray(resumeIds) || resumeIds.length === 0 || !jobTitle || !jobDescription) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  const optionsError = scoringOptionsError({ criteria, knockoutThreshold, ensembleRuns });
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  const id = Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+  let doc;
+  try {
+    doc = await mongo.insertJob(id, {
+      resumeIds, jobTitle, jobDescription, blindMode, translate, force: forceRescore,
+      knockoutThreshold: knockoutThreshold ?? KNOCKOUT_THRESHOLD, autoReject, ensembleRuns,
+      criteria: normalizeCriteria(criteria),
+    });
   } catch (err) {
-    sendEvent('error', { error: err.message });
+    return res.status(500).json({ error: `Could not start scoring: ${err.message}` });
   }
 
-  res.end();
+  startScoringJob(jobState(doc));
+  res.status(202).json({ jobId: id, total: resumeIds.length });
 });
 
-// Get resume details
+app.get('/api/jobs/:id', async (req, res) => {
+  const job = await findJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(jobSummary(job));
+});
+
+// Stream a job's events (SSE). Events after Last-Event-ID (header, or ?lastEventId=)
+// are replayed first; a running job then streams live until it finishes.
+app.get('/api/jobs/:id/events', async (req, res) => {
+  const job = await findJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  let keepAlive = null;
+  function close() {
+    clearInterval(keepAlive);
+    job.listeners.delete(sendEvent);
+    res.end();
+  }
+  function sendEvent(eventType, data, eventId) {
+    res.write(`${eventId ? `id: ${eventId}\n` : ''}event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (JOB_TERMINAL_EVENTS.includes(eventType)) close();
+  }
+
+  for (const e of job.events) {
+    if (e.id > lastEventId) sendEvent(e.event, e.data, e.id);
+  }
+  if (job.status !== 'running') {
+    if (!res.writableEnded) res.end();
+    return;
+  }
+  if (job.progress) sendEvent('progress', job.progress, null);
+
+  job.listeners.add(sendEvent);
+  // Comment lines keep proxies from dropping the stream during long retry waits
+  keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    job.listeners.delete(sendEvent);
+  });
+});
+
+// Stop a running job after the resumes currently being scored; the ones already
+// scored are kept and saved as a session
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  const job = await findJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'running' || !activeJobs.has(job.id)) {
+    return res.status(409).json({ error: `Job is already ${job.status}` });
+  }
+  job.cancelRequested = true;
+  emitJobProgress(job, { ...(job.progress || {}), message: 'Cancelling after the resumes in progress...' });
+  res.status(202).json(jobSummary(job));
+});
+
+// Evaluation of a resume in `sessionId` (and `run`, default its latest run there),
+// or its most recent one when no session is given
+function findEvaluation(resumeId, sessionId, run = null) {
+  if (!sessionId) return mongo.getLatestEvaluation(resumeId);
+  return mongo.getEvaluation(String(sessionId), resumeId, parseInt(run, 10) || null);
+}
+
+// A resume as seen from `sessionId` / `run` (see findEvaluation): its score and
+// blind-screening state there (see viewBlindRecord). null if there is no such resume.
+async function getResumeView(id, sessionId = null, run = null) {
+  const stored = await mongo.getResume(id);
+  if (!stored) return null;
+  const evaluation = await findEvaluation(stored.id, sessionId, run);
+  const resume = withEvaluation(stored, evaluation);
+  resume.blind = await viewBlindRecord({ sessionId, evaluation, findHidden: () => mongo.getHiddenBlindEvaluation(stored.id) });
+  return { resume, evaluation };
+}
+
+// Get resume details, with its score from ?sessionId= and ?run= (default: its latest score)
 app.get('/api/resume/:id', async (req, res) => {
-  const resume = await mongo.getResume(req.params.id);
-  if (!resume) {
+  const view = await getResumeView(req.params.id, req.query.sessionId, req.query.run);
+  if (!view) {
     return res.status(404).json({ error: 'Resume not found' });
   }
+  const { resume, evaluation } = view;
   let subScores = null;
   try { if (resume.sub_scores) subScores = JSON.parse(resume.sub_scores); } catch (e) { /* ignore */ }
 
+  // Resumes uploaded before structured parsing existed are parsed on the fly
+  const profile = resume.profile || parseResume(resume.raw_text);
+  const letter = resume.cover_letter;
+  const blind = isBlind(resume);
+  const names = blind ? blindNames(resume) : [];
+  const redact = text => (blind && text ? redactText(text, { names }).text : text);
+  const rawText = redact(resume.raw_text);
+  const translatedText = redact(resume.translated_text || null);
+
+  // Offsets point into the unredacted text, so blind views locate the (redacted) quotes again
+  if (blind && subScores?.criteria) {
+    subScores.criteria = locateEvidence(
+      subScores.criteria.map(c => ({ ...c, evidence: (c.evidence || []).map(e => redact(e.quote)) })),
+      [{ source: 'original', text: rawText }, { source: 'translation', text: translatedText }],
+    );
+  }
+
   res.json({
     id: resume.id,
-    candidateName: resume.candidate_name,
-    originalName: resume.original_name,
-    rawText: resume.raw_text,
+    ...displayIdentity(resume),
+    blindLabel: resume.blind?.label || null,
+    rawText,
+    fileType: resume.file_type,
+    hasOriginal: !!resume.original_file_id,
+    ...languageInfo(resume),
+    translatedText,
+    profile: blind ? redactProfile(profile, { names }) : profile,
+    coverLetter: letter ? {
+      subject: redact(letter.subject),
+      body: redact(letter.body),
+      from: blind ? null : letter.from,
+      fromName: blind ? null : letter.from_name,
+      sentAt: letter.sent_at,
+      messageFile: blind ? null : letter.message_file,
+    } : null,
+    sessionId: evaluation?.session_id || null,
+    run: evaluation?.run ?? null,
     score: resume.score,
+    claimedScore: resume.claimed_score ?? null,
+    promptVersion: resume.prompt_version,
+    ...knockoutInfo(resume),
+    scoreRange: scoreRange(subScores),
     reasoning: resume.reasoning,
     subScores,
-    cleanedText: resume.cleaned_text,
+    cleanedText: blind ? null : resume.cleaned_text,
     tag: resume.tag || null,
+    extractionMethod: resume.extraction_method || 'text',
+    ocrConfidence: resume.ocr_confidence ?? null,
   });
 });
 
+// Delete a resume — only allowed while it is not part of any session (e.g. discarding a duplicate upload)
+app.delete('/api/resume/:id', async (req, res) => {
+  const resume = await mongo.getResume(req.params.id);
+  if (!resume) return res.status(404).json({ error: 'Resume not found' });
+  if (await mongo.isResumeInSession(req.params.id)) {
+    return res.status(409).json({ error: 'Resume is part of a scoring session and cannot be deleted' });
+  }
+  await mongo.deleteResume(req.params.id);
+  res.json({ success: true });
+});
+
+// Reveal an anonymized (blind-screened) candidate in session ?sessionId= (every
+// session without one). Recorded on the session's evaluations of the resume.
+app.post('/api/resume/:id/reveal', async (req, res) => {
+  const sessionId = req.query.sessionId ? String(req.query.sessionId) : null;
+  const view = await getResumeView(req.params.id, sessionId);
+  if (!view) return res.status(404).json({ error: 'Resume not found' });
+  const { resume } = view;
+  if (!resume.blind) return res.status(400).json({ error: 'Resume was not blind-screened' });
+
+  if (!resume.blind.revealed_at) await mongo.revealEvaluations(resume.id, sessionId);
+  res.json({ candidateName: resume.candidate_name, originalName: resume.original_name, contact: contactView(resume.contact) });
+});
+
 // Update candidate name
 app.patch('/api/resume/:id/name', express.json(), async (req, res) => {
   const { candidateName } = req.body || {};
@@ -667,16 +1962,20 @@ app.post('/api/resumes/bulk-tag', express.json(), async (req, res) => {
 // Clean resume
 app.post('/api/resume/:id/clean', aiLimiter, async (req, res) => {
   try {
-    const resume = await mongo.getResume(req.params.id);
-    if (!resume) {
+    const view = await getResumeView(req.params.id, req.query.sessionId);
+    if (!view) {
       return res.status(404).json({ error: 'Resume not found' });
     }
+    const { resume } = view;
+    if (isBlind(resume)) {
+      return res.status(403).json({ error: 'Candidate is anonymized. Reveal the candidate first.' });
+    }
 
     if (resume.cleaned_text) {
       return res.json({ cleanedText: resume.cleaned_text });
     }
 
-    const cleanedText = await cleanResumeText(resume.raw_text);
+    const cleanedText = await cleanResumeText(resume.raw_text, { context: { resumeId: resume.id } });
     await mongo.updateResumeClean(cleanedText, req.params.id);
     res.json({ cleanedText });
   } catch (err) {
@@ -684,12 +1983,67 @@ app.post('/api/resume/:id/clean', aiLimiter, async (req, res) => {
   }
 });
 
+// Translate resume to English (stored next to raw_text and reused for scoring)
+app.post('/api/resume/:id/translate', aiLimiter, async (req, res) => {
+  try {
+    const view = await getResumeView(req.params.id, req.query.sessionId);
+    if (!view) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+    const { resume } = view;
+    if (!resume.language || resume.language.code === 'en') {
+      return res.status(400).json({ error: 'Resume is already in English' });
+    }
+
+    const { text } = await scoringTextFor(resume, true, { context: { resumeId: resume.id } });
+    res.json({ translatedText: isBlind(resume) ? redactText(text, { names: blindNames(resume) }).text : text });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download (or, with ?inline=1, preview) the original uploaded file
+app.get('/api/resume/:id/original', async (req, res) => {
+  const view = await getResumeView(req.params.id, req.query.sessionId);
+  if (!view) {
+    return res.status(404).json({ error: 'Resume not found' });
+  }
+  const { resume } = view;
+  if (isBlind(resume)) {
+    return res.status(403).json({ error: 'Candidate is anonymized. Reveal the candidate first.' });
+  }
+  const file = resume.original_file_id ? await mongo.getOriginalInfo(resume.original_file_id) : null;
+  if (!file) {
+    return res.status(404).json({ error: 'Original file is not available for this resume' });
+  }
+
+  const disposition = req.query.inline === '1' ? 'inline' : 'attachment';
+  const asciiName = resume.original_name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '');
+  const contentType = file.metadata?.content_type || contentTypeFor(resume.original_name);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Length', file.length);
+  res.setHeader('Content-Disposition', `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(resume.original_name)}`);
+  // Uploaded HTML must never run in our origin (browsers refuse to show sandboxed PDFs, hence the exception)
+  if (contentType !== 'application/pdf') res.setHeader('Content-Security-Policy', 'sandbox');
+
+  try {
+    await pipeline(mongo.openOriginal(resume.original_file_id), res);
+  } catch (err) {
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+    else res.destroy(err);
+  }
+});
+
 // Download cleaned resume as PDF
 app.get('/api/resume/:id/download', async (req, res) => {
-  const resume = await mongo.getResume(req.params.id);
-  if (!resume) {
+  const view = await getResumeView(req.params.id, req.query.sessionId);
+  if (!view) {
     return res.status(404).json({ error: 'Resume not found' });
   }
+  const { resume } = view;
+  if (isBlind(resume)) {
+    return res.status(403).json({ error: 'Candidate is anonymized. Reveal the candidate first.' });
+  }
 
   const textToDownload = resume.cleaned_text || resume.raw_text;
   const filename = `cleaned-${resume.original_name.replace(/\.[^/.]+$/, '')}.pdf`;
@@ -700,9 +2054,10 @@ app.get('/api/resume/:id/download', async (req, res) => {
   const doc = new PDFDocument({ margin: 50, size: 'A4' });
   doc.pipe(res);
 
-  // Header: candidate name
-  if (resume.candidate_name) {
-    doc.fontSize(20).font('Helvetica-Bold').text(resume.candidate_name, { align: 'center' });
+  // Header: candidate name (fall back to the name parsed from the resume header)
+  const headerName = resume.candidate_name || resume.profile?.contact?.name;
+  if (headerName) {
+    doc.fontSize(20).font('Helvetica-Bold').text(headerName, { align: 'center' });
     doc.moveDown(0.5);
     doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor('#cccccc').stroke();
     doc.moveDown(0.5);
@@ -747,39 +2102,215 @@ app.get('/api/sessions', async (req, res) => {
       createdAt: s.created_at,
       resumeCount: s.resume_count,
       topScore: s.top_score,
+      blindMode: s.blind_mode,
+      runs: s.runs.map(r => ({ run: r.run, createdAt: r.created_at })),
     })),
   });
 });
 
-// Get session details with resume results
+// A session's run record: number `value` (e.g. from ?run=), or the latest run when
+// no number is given; null when the session has no such run
+function findSessionRun(session, value) {
+  const runs = session.runs || [sessionRun(1, session)];
+  if (value == null || value === '') return runs[runs.length - 1];
+  return runs.find(r => r.run === parseInt(value, 10)) || null;
+}
+
+function parseCriteria(json) {
+  try { return json ? JSON.parse(json) : null; } catch (e) { return null; }
+}
+
+// Resumes added to the session after a run was scored aren't part of that run unless they were scored into it
+function belongsToRun(resume, run) {
+  return resume.score != null || !resume.added_at || resume.added_at <= run.created_at;
+}
+
+// Results of one run, best first
+async function sessionResults(sessionId, run) {
+  const resumes = (await mongo.getSessionResumes(sessionId, run.run)).filter(r => belongsToRun(r, run));
+  return resumes.map(r => {
+    let subScores = null;
+    try { if (r.sub_scores) subScores = JSON.parse(r.sub_scores); } catch (e) { /* ignore */ }
+    return {
+      id: r.id,
+      ...displayIdentity(r),
+      score: r.score,
+      reasoning: r.reasoning,
+      subScores,
+      tag: r.tag || null,
+      ocrConfidence: r.ocr_confidence ?? null,
+      ...languageInfo(r),
+      ...knockoutInfo(r),
+      scoreRange: scoreRange(subScores),
+      promptVersion: r.prompt_version,
+      addedAt: r.added_at,
+    };
+  }).sort(rankResults);
+}
+
+// API view of a USAGE_TOTALS group (cost rounded to a hundredth of a cent)
+function usageTotals(group) {
+  return {
+    calls: group.calls,
+    inputTokens: group.input_tokens,
+    outputTokens: group.output_tokens,
+    cost: Math.round(group.cost * 10000) / 10000,
+    unpricedCalls: group.unpriced_calls,
+    avgLatencyMs: group.calls > 0 ? Math.round(group.latency_ms / group.calls) : null,
+  };
+}
+
+// Sum of several USAGE_TOTALS groups
+function sumUsage(groups) {
+  const sum = { calls: 0, input_tokens: 0, output_tokens: 0, cost: 0, unpriced_calls: 0, latency_ms: 0 };
+  for (const g of groups) for (const key of Object.keys(sum)) sum[key] += g[key];
+  return sum;
+}
+
+// Rank (1 = best) of each scored resume in results sorted by rankResults
+function ranksOf(results) {
+  const ranks = new Map();
+  results.filter(r => r.score != null).forEach((r, i) => ranks.set(r.id, i + 1));
+  return ranks;
+}
+
+// Get session details with the results of ?run= (default: the latest run). With
+// ?baseline=<run>, each result also gets its rank and score in that run and
+// `rankChange` (positive = moved up since the baseline).
 app.get('/api/sessions/:id', async (req, res) => {
   const session = await mongo.getSession(req.params.id);
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
-  const resumes = await mongo.getSessionResumes(req.params.id);
-  let sessionCriteria = null;
-  try { if (session.criteria) sessionCriteria = JSON.parse(session.criteria); } catch (e) { /* ignore */ }
+  const run = findSessionRun(session, req.query.run);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  const baseline = req.query.baseline ? findSessionRun(session, req.query.baseline) : null;
+  if (req.query.baseline && !baseline) {
+    return res.status(404).json({ error: 'Baseline run not found' });
+  }
+
+  let results = await sessionResults(session.id, run);
+  const usage = await mongo.getSessionUsage(session.id);
+  if (baseline) {
+    const baselineResults = await sessionResults(session.id, baseline);
+    const baselineScores = new Map(baselineResults.map(r => [r.id, r.score]));
+    const before = ranksOf(baselineResults);
+    const after = ranksOf(results);
+    results = results.map(r => ({
+      ...r,
+      rank: after.get(r.id) ?? null,
+      baselineRank: before.get(r.id) ?? null,
+      baselineScore: baselineScores.get(r.id) ?? null,
+      rankChange: before.has(r.id) && after.has(r.id) ? before.get(r.id) - after.get(r.id) : null,
+    }));
+  }
 
   res.json({
     id: session.id,
-    jobTitle: session.job_title,
-    jobDescription: session.job_description,
+    jobTitle: run.job_title,
+    jobDescription: run.job_description,
     createdAt: session.created_at,
-    criteria: sessionCriteria,
-    results: resumes.map(r => {
-      let subScores = null;
-      try { if (r.sub_scores) subScores = JSON.parse(r.sub_scores); } catch (e) { /* ignore */ }
-      return {
-        id: r.id,
-        candidateName: r.candidate_name,
-        score: r.score,
-        reasoning: r.reasoning,
-        subScores,
-        originalName: r.original_name,
-        tag: r.tag || null,
-      };
-    }),
+    criteria: parseCriteria(run.criteria),
+    blindMode: !!session.blind_mode,
+    knockoutThreshold: run.knockout_threshold ?? null,
+    run: run.run,
+    baselineRun: baseline ? baseline.run : null,
+    runs: (session.runs || [run]).map(r => ({
+      run: r.run, jobTitle: r.job_title, createdAt: r.created_at, criteria: parseCriteria(r.criteria), knockoutThreshold: r.knockout_threshold ?? null,
+    })),
+    // Tokens and cost of every model call made for the session (cached scores cost nothing)
+    usage: {
+      ...usageTotals(sumUsage(usage)),
+      runs: usage.map(u => ({ run: u._id, ...usageTotals(u) })),
+    },
+    results,
+  });
+});
+
+// Score the session's resumes again as a new run, with an edited job title, description,
+// criteria or knockout threshold (anything not given is taken from the latest run).
+// Runs as a scoring job like /api/process; earlier runs are kept for comparison.
+app.post('/api/sessions/:id/rescore', aiLimiter, express.json({ limit: '1mb' }), async (req, res) => {
+  const session = await mongo.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const latest = findSessionRun(session, null);
+  const {
+    jobTitle = latest.job_title, jobDescription = latest.job_description, criteria = parseCriteria(latest.criteria),
+    knockoutThreshold = latest.knockout_threshold, translate = false, forceRescore = false, autoReject = false, ensembleRuns = 1,
+  } = req.body || {};
+
+  if (!jobTitle || !jobDescription) {
+    return res.status(400).json({ error: 'Job title and description cannot be empty' });
+  }
+  const optionsError = scoringOptionsError({ criteria, knockoutThreshold, ensembleRuns });
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+  const resumeIds = await mongo.getSessionResumeIds(session.id);
+  if (resumeIds.length === 0) {
+    return res.status(400).json({ error: 'Session has no resumes to rescore' });
+  }
+
+  const id = Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+  let doc;
+  try {
+    const run = await mongo.reserveSessionRun(session.id);
+    doc = await mongo.insertJob(id, {
+      resumeIds, jobTitle, jobDescription, blindMode: !!session.blind_mode, translate, force: forceRescore,
+      knockoutThreshold: knockoutThreshold ?? KNOCKOUT_THRESHOLD, autoReject, ensembleRuns,
+      criteria: normalizeCriteria(criteria), sessionId: session.id, run,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: `Could not start rescoring: ${err.message}` });
+  }
+
+  startScoringJob(jobState(doc));
+  res.status(202).json({ jobId: id, total: resumeIds.length, sessionId: session.id, run: doc.target_run });
+});
+
+// Score more resumes into an existing session (e.g. applications that arrived later), with
+// the job details and criteria of its latest run. Each resume joins the session once it
+// has a score; resumes already in the session are skipped.
+app.post('/api/sessions/:id/resumes', aiLimiter, express.json({ limit: '1mb' }), async (req, res) => {
+  const session = await mongo.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const { resumeIds, translate = false, forceRescore = false, autoReject = false, ensembleRuns = 1 } = req.body || {};
+  if (!Array.isArray(resumeIds) || resumeIds.length === 0) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  const optionsError = scoringOptionsError({ criteria: null, knockoutThreshold: null, ensembleRuns });
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+  const linked = new Set(await mongo.getSessionResumeIds(session.id));
+  const newIds = Array.from(new Set(resumeIds)).filter(rid => !linked.has(rid));
+  if (newIds.length === 0) {
+    return res.status(400).json({ error: 'All of these resumes are already in the session' });
+  }
+
+  const latest = findSessionRun(session, null);
+  const id = Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+  let doc;
+  try {
+    doc = await mongo.insertJob(id, {
+      resumeIds: newIds, jobTitle: latest.job_title, jobDescription: latest.job_description,
+      blindMode: !!session.blind_mode, translate, force: forceRescore,
+      knockoutThreshold: latest.knockout_threshold ?? KNOCKOUT_THRESHOLD, autoReject, ensembleRuns,
+      criteria: parseCriteria(latest.criteria), sessionId: session.id, run: latest.run, append: true,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: `Could not start scoring: ${err.message}` });
+  }
+
+  startScoringJob(jobState(doc));
+  res.status(202).json({
+    jobId: id, total: newIds.length, sessionId: session.id, run: latest.run, skipped: resumeIds.length - newIds.length,
   });
 });
 
@@ -798,14 +2329,20 @@ app.get('/api/sessions/:id/export/csv', async (req, res) => {
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
+  const run = findSessionRun(session, req.query.run);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
 
-  const resumes = await mongo.getSessionResumes(req.params.id);
+  const resumes = (await mongo.getSessionResumes(session.id, run.run))
+    .filter(r => belongsToRun(r, run))
+    .sort((a, b) => rankResults({ score: a.score, knockedOut: !!a.knockout }, { score: b.score, knockedOut: !!b.knockout }));
 
   // Determine sub-score criteria names from session or first resume
   let criteriaNames = [];
   try {
-    if (session.criteria) {
-      criteriaNames = JSON.parse(session.criteria).map(c => c.name);
+    if (run.criteria) {
+      criteriaNames = JSON.parse(run.criteria).map(c => c.name);
     } else {
       // Check first resume for default criteria
       for (const r of resumes) {
@@ -817,7 +2354,7 @@ app.get('/api/sessions/:id/export/csv', async (req, res) => {
     }
   } catch (e) { /* ignore */ }
 
-  const headers = ['Candidate Name', 'Filename', 'Score'];
+  const headers = ['Candidate Name', 'Filename', 'Email', 'Phone', 'LinkedIn', 'GitHub', 'Location', 'Current Title', 'Current Employer', 'Score', 'Score Range', 'Knocked Out', 'Failed Gates'];
   for (const name of criteriaNames) headers.push(name);
   headers.push('Reasoning');
   const csvRows = [headers.join(',')];
@@ -826,10 +2363,25 @@ app.get('/api/sessions/:id/export/csv', async (req, res) => {
     let subScores = null;
     try { if (r.sub_scores) subScores = JSON.parse(r.sub_scores); } catch (e) { /* ignore */ }
 
+    const profile = r.profile || parseResume(r.raw_text);
+    const latestJob = profile.experience[0] || {};
+    const identity = displayIdentity(r);
+    const contact = identity.contact || {};
+    const range = scoreRange(subScores);
     const row = [
-      csvEscape(r.candidate_name || 'Unknown'),
-      csvEscape(r.original_name),
+      csvEscape(identity.candidateName || 'Unknown'),
+      csvEscape(identity.originalName),
+      csvEscape((contact.emails || [])[0] || ''),
+      csvEscape((contact.phones || [])[0] || ''),
+      csvEscape(contact.linkedin || ''),
+      csvEscape(contact.github || ''),
+      csvEscape(formatLocation(contact.location)),
+      csvEscape(latestJob.title || ''),
+      csvEscape(latestJob.employer || ''),
       r.score !== null ? r.score : '',
+      range ? `${range.min}-${range.max}` : '',
+      r.knockout ? 'Yes' : 'No',
+      csvEscape((r.knockout?.failed || []).map(g => `${g.name} (${g.score})`).join('; ')),
     ];
     for (const name of criteriaNames) {
       const criterion = subScores?.criteria?.find(c => c.name === name);
@@ -839,12 +2391,72 @@ app.get('/api/sessions/:id/export/csv', async (req, res) => {
     csvRows.push(row.join(','));
   }
 
-  const filename = `scores-${session.job_title.replace(/[^a-zA-Z0-9]/g, '-').substring(0, 40)}.csv`;
+  const runSuffix = (session.runs || []).length > 1 ? `-run${run.run}` : '';
+  const filename = `scores-${run.job_title.replace(/[^a-zA-Z0-9]/g, '-').substring(0, 40)}${runSuffix}.csv`;
   res.setHeader('Content-Type', 'text/csv');
   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
   res.send(csvRows.join('\r\n'));
 });
 
+// --- Usage Report ---
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Tokens and spend of the model calls made from ?from= to ?to= (YYYY-MM-DD, inclusive,
+// UTC days; default: the current month so far), per day, per month and job title,
+// and per operation and model. ?format=csv downloads the monthly spend by job title.
+app.get('/api/usage', async (req, res) => {
+  const today = new Date().toISOString().substring(0, 10);
+  const { from = `${today.substring(0, 7)}-01`, to = today, format = 'json' } = req.query;
+  for (const day of [from, to]) {
+    if (!DAY_PATTERN.test(day) || Number.isNaN(Date.parse(day)) || !new Date(day).toISOString().startsWith(day)) {
+      return res.status(400).json({ error: `Invalid date "${day}" (use YYYY-MM-DD)` });
+    }
+  }
+  if (from > to) {
+    return res.status(400).json({ error: '"from" must not be after "to"' });
+  }
+  const start = new Date(from).toISOString();
+  const end = new Date(Date.parse(to) + 24 * 60 * 60 * 1000).toISOString();
+
+  const [days, jobTitles, operations] = await Promise.all([
+    mongo.getUsageTotals(start, end, { $substrCP: ['$created_at', 0, 10] }),
+    mongo.getUsageTotals(start, end, { month: { $substrCP: ['$created_at', 0, 7] }, job_title: '$job_title' }),
+    mongo.getUsageTotals(start, end, { operation: '$operation', provider: '$provider', model: '$model' }),
+  ]);
+
+  if (format === 'csv') {
+    const csvRows = [['Month', 'Job Title', 'Calls', 'Input Tokens', 'Output Tokens', 'Cost (USD)', 'Unpriced Calls'].join(',')];
+    for (const g of jobTitles) {
+      const totals = usageTotals(g);
+      csvRows.push([
+        g._id.month, csvEscape(g._id.job_title || ''), totals.calls, totals.inputTokens, totals.outputTokens, totals.cost.toFixed(4), totals.unpricedCalls,
+      ].join(','));
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="ai-usage-${from}-to-${to}.csv"`);
+    return res.send(csvRows.join('\r\n'));
+  }
+
+  const months = new Map();
+  for (const g of jobTitles) {
+    if (!months.has(g._id.month)) months.set(g._id.month, []);
+    months.get(g._id.month).push(g);
+  }
+  res.json({
+    from, to,
+    ...usageTotals(sumUsage(days)),
+    days: days.map(g => ({ day: g._id, ...usageTotals(g) })),
+    // Calls without a job title (cleaning or translating from the resume page) have jobTitle null
+    months: Array.from(months, ([month, groups]) => ({
+      month,
+      ...usageTotals(sumUsage(groups)),
+      jobTitles: groups.map(g => ({ jobTitle: g._id.job_title, ...usageTotals(g) })).sort((a, b) => b.cost - a.cost),
+    })),
+    operations: operations.map(g => ({ operation: g._id.operation, provider: g._id.provider, model: g._id.model, ...usageTotals(g) })),
+  });
+});
+
 // Delete a session
 app.delete('/api/sessions/:id', async (req, res) => {
   const session = await mongo.getSession(req.params.id);
@@ -857,21 +2469,22 @@ app.delete('/api/sessions/:id', async (req, res) => {
 
 // Compare candidates
 app.post('/api/compare', express.json(), async (req, res) => {
-  const { resumeIds } = req.body || {};
+  const { resumeIds, sessionId = null, run = null } = req.body || {};
   if (!Array.isArray(resumeIds) || resumeIds.length < 2 || resumeIds.length > 3) {
     return res.status(400).json({ error: 'Provide 2 or 3 resume IDs to compare' });
   }
 
+  // Scores from `sessionId` (and `run`) when given, otherwise each resume's latest
   const candidates = [];
   for (const id of resumeIds) {
-    const r = await mongo.getResume(id);
-    if (!r) continue;
+    const view = await getResumeView(id, sessionId, run);
+    if (!view) continue;
+    const r = view.resume;
     let subScores = null;
     try { if (r.sub_scores) subScores = JSON.parse(r.sub_scores); } catch (e) { /* ignore */ }
     candidates.push({
       id: r.id,
-      candidateName: r.candidate_name,
-      originalName: r.original_name,
+      ...displayIdentity(r),
       score: r.score,
       reasoning: r.reasoning,
       subScores,
@@ -1139,7 +2752,12 @@ app.use((err, req, res, next) => {
 });
 
 // Initialize MongoDB then start server
-initDB().then(() => {
+initDB().then(async () => {
+  try {
+    await resumeInterruptedJobs();
+  } catch (err) {
+    console.error('Failed to resume scoring jobs:', err.message);
+  }
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`Resume Scoring app running at http://0.0.0.0:${PORT}`);
   });
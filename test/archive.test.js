@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { archiveType, extractArchive, readZipEntry } = require('../lib/archive');
+
+const accept = name => ['.pdf', '.txt'].includes(path.extname(name).toLowerCase());
+
+function zipBuffer(entries) {
+  const zip = new AdmZip();
+  for (const [name, data] of Object.entries(entries)) zip.addFile(name, Buffer.isBuffer(data) ? data : Buffer.from(data));
+  return zip.toBuffer();
+}
+
+// Minimal ustar archive
+function tarBuffer(entries) {
+  const blocks = [];
+  for (const [name, content] of Object.entries(entries)) {
+    const data = Buffer.from(content);
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('00000000000\0', 136);
+    header.write('        ', 148);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+async function withFile(name, buffer, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, buffer);
+  try {
+    return await fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('archiveType recognizes zip, tar, gzipped tar and gzipped files', () => {
+  assert.equal(archiveType('a.ZIP'), 'zip');
+  assert.equal(archiveType('a.tar'), 'tar');
+  assert.equal(archiveType('a.tar.gz'), 'tgz');
+  assert.equal(archiveType('a.tgz'), 'tgz');
+  assert.equal(archiveType('cv.pdf.gz'), 'gz');
+  assert.equal(archiveType('a.pdf'), null);
+});
+
+test('extractArchive returns accepted files and skips the rest with a reason', async () => {
+  const buffer = zipBuffer({ 'cvs/jane.pdf': '%PDF jane', 'notes.docx': 'x', '__MACOSX/._jane.pdf': 'x', '.DS_Store': 'x' });
+  const { files, skipped } = await withFile('batch.zip', buffer, file => extractArchive(file, 'batch.zip', { accept }));
+  assert.deepEqual(files.map(f => [f.name, f.path, f.data.toString()]), [['jane.pdf', 'cvs/jane.pdf', '%PDF jane']]);
+  assert.deepEqual(skipped.map(s => [s.name, s.reason]).sort(), [
+    ['.DS_Store', 'Hidden or system file'],
+    ['__MACOSX/._jane.pdf', 'Hidden or system file'],
+    ['notes.docx', 'Unsupported file type (.docx)'],
+  ]);
+});
+
+test('extractArchive expands nested zip, tar and tar.gz archives', async () => {
+  const tgz = zlib.gzipSync(tarBuffer({ 'deep/c.txt': 'resume c' }));
+  const buffer = zipBuffer({ 'a.txt': 'resume a', 'inner.tar': tarBuffer({ 'b.txt': 'resume b' }), 'more.tgz': tgz });
+  const { files, skipped } = await withFile('outer.zip', buffer, file => extractArchive(file, 'outer.zip', { accept }));
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(files.map(f => [f.path, f.data.toString()]), [
+    ['a.txt', 'resume a'],
+    ['inner.tar/b.txt', 'resume b'],
+    ['more.tgz/deep/c.txt', 'resume c'],
+  ]);
+});
+
+test('extractArchive keeps entries under "./" (tar czf batch.tgz .)', async () => {
+  const buffer = zlib.gzipSync(tarBuffer({ './cv.txt': 'resume', './.DS_Store': 'x' }));
+  const { files, skipped } = await withFile('batch.tgz', buffer, file => extractArchive(file, 'batch.tgz', { accept }));
+  assert.deepEqual(files.map(f => [f.name, f.path]), [['cv.txt', './cv.txt']]);
+  assert.deepEqual(skipped, [{ name: './.DS_Store', reason: 'Hidden or system file' }]);
+});
+
+test('extractArchive expands a single gzipped file', async () => {
+  const buffer = zlib.gzipSync('%PDF jane');
+  const { files, skipped } = await withFile('jane.pdf.gz', buffer, file => extractArchive(file, 'jane.pdf.gz', { accept }));
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(files.map(f => [f.name, f.path, f.data.toString()]), [['jane.pdf', 'jane.pdf', '%PDF jane']]);
+});
+
+test('extractArchive skips archives nested too deep', async () => {
+  let buffer = zipBuffer({ 'cv.txt': 'resume' });
+  for (let i = 0; i < 4; i++) buffer = zipBuffer({ [`level${i}.zip`]: buffer });
+  const { files, skipped } = await withFile('top.zip', buffer, file => extractArchive(file, 'top.zip', { accept }));
+  assert.deepEqual(files, []);
+  assert.match(skipped[0].reason, /^Nested more than 3 archives deep$/);
+});
+
+test('extractArchive refuses entries with a suspicious compression ratio', async () => {
+  const buffer = zipBuffer({ 'bomb.txt': Buffer.alloc(4 * 1024 * 1024), 'cv.txt': 'resume' });
+  const { files, skipped } = await withFile('bomb.zip', buffer, file => extractArchive(file, 'bomb.zip', { accept }));
+  assert.deepEqual(files.map(f => f.name), ['cv.txt']);
+  assert.equal(skipped[0].name, 'bomb.txt');
+  assert.match(skipped[0].reason, /^Suspicious compression ratio/);
+});
+
+test('extractArchive rejects an unreadable top-level archive', async () => {
+  await assert.rejects(() => withFile('broken.zip', Buffer.from('not a zip'), file => extractArchive(file, 'broken.zip', { accept })));
+});
+
+test('readZipEntry stops inflating at the declared size', async () => {
+  const [entry] = new AdmZip(zipBuffer({ 'content.xml': 'x'.repeat(100000) })).getEntries();
+  assert.equal((await readZipEntry(entry)).length, 100000);
+  entry.header.size = 1000;
+  await assert.rejects(() => readZipEntry(entry), /larger than its declared size/);
+  entry.header.size = 1024 * 1024 * 1024;
+  await assert.rejects(() => readZipEntry(entry), /size limit/);
+});
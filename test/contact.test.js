@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractContact, formatLocation } = require('../lib/contact');
+
+test('extractContact reads the header of a resume', () => {
+  const contact = extractContact([
+    'JANE DOE',
+    'Boston, MA 02115 | (617) 555-0123 | Jane.Doe@Example.com',
+    'linkedin.com/in/janedoe | github.com/janedoe | https://janedoe.dev.',
+    '',
+    'Experience',
+  ].join('\n'));
+  assert.deepEqual(contact, {
+    name: 'Jane Doe',
+    emails: ['jane.doe@example.com'],
+    phones: ['+16175550123'],
+    linkedin: 'https://www.linkedin.com/in/janedoe',
+    github: 'https://github.com/janedoe',
+    websites: ['https://janedoe.dev'],
+    location: { city: 'Boston', region: 'MA', country: 'US' },
+  });
+});
+
+test('extractContact finds international numbers and locations, and names in email addresses', () => {
+  const contact = extractContact('Curriculum Vitae\nSenior Engineer\nBerlin, Germany | +49 30 12345678\nmax_mustermann@example.de');
+  assert.equal(contact.name, 'Max Mustermann');
+  assert.deepEqual(contact.phones, ['+493012345678']);
+  assert.deepEqual(contact.location, { city: 'Berlin', region: null, country: 'DE' });
+});
+
+test('extractContact prefers a plausible sender or header name', () => {
+  assert.equal(extractContact('Resume\ninfo@example.com', { senderName: 'Jane Doe', headerName: 'Resume' }).name, 'Jane Doe');
+  assert.equal(extractContact('Resume\ninfo@example.com', { senderName: 'HR Team <hr@example.com>' }).name, null);
+  assert.equal(extractContact('').name, null);
+});
+
+test('formatLocation joins the known parts', () => {
+  assert.equal(formatLocation({ city: 'Boston', region: 'MA', country: 'US' }), 'Boston, MA, US');
+  assert.equal(formatLocation({ city: null, region: null, country: 'ES' }), 'ES');
+  assert.equal(formatLocation(null), '');
+});
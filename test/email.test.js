@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EMAIL_EXTENSIONS, parseEmailFile } = require('../lib/email');
+
+async function withFile(name, content, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-test-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  try {
+    return await fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const eml = (headers, body) => `${headers.join('\r\n')}\r\n\r\n${body.replace(/\n/g, '\r\n')}`;
+
+test('parseEmailFile reads sender, subject, body and attachments of an .eml', async () => {
+  const message = eml([
+    'From: "Jane Doe" <Jane.Doe@Example.com>',
+    'To: jobs@example.com',
+    'Subject: Application: Backend Engineer',
+    'Date: Tue, 03 Mar 2026 09:30:00 +0000',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="b1"',
+  ], `--b1
+Content-Type: text/plain; charset=utf-8
+
+Please find my resume attached.
+--b1
+Content-Type: text/plain; name="cv.txt"
+Content-Disposition: attachment; filename="../../etc/cv.txt"
+Content-Transfer-Encoding: base64
+
+${Buffer.from('Jane Doe resume').toString('base64')}
+--b1--
+`);
+  const email = await withFile('application.eml', message, file => parseEmailFile(file, 'Application.EML'));
+  assert.deepEqual(email.from, { address: 'jane.doe@example.com', name: 'Jane Doe' });
+  assert.equal(email.subject, 'Application: Backend Engineer');
+  assert.equal(email.date, '2026-03-03T09:30:00.000Z');
+  assert.equal(email.body, 'Please find my resume attached.');
+  assert.equal(email.attachments.length, 1);
+  // Attachment names never carry a path
+  assert.equal(email.attachments[0].filename, 'cv.txt');
+  assert.equal(email.attachments[0].content.toString(), 'Jane Doe resume');
+});
+
+test('parseEmailFile reads the body of an HTML-only .eml as text', async () => {
+  const message = eml([
+    'From: jane@example.com',
+    'Subject: Hi',
+    'Content-Type: text/html; charset=utf-8',
+  ], '<html><body><p>Dear team,</p><p>My resume<br>is attached.</p><script>x()</script></body></html>');
+  const email = await withFile('hi.eml', message, file => parseEmailFile(file, 'hi.eml'));
+  assert.deepEqual(email.from, { address: 'jane@example.com', name: null });
+  assert.equal(email.body, 'Dear team,\n\nMy resume\nis attached.');
+  assert.deepEqual(email.attachments, []);
+});
+
+test('parseEmailFile rejects other file types', async () => {
+  assert.deepEqual(EMAIL_EXTENSIONS, ['.eml', '.msg']);
+  await assert.rejects(() => parseEmailFile('/nonexistent', 'mail.txt'), /Unsupported email type: \.txt/);
+});
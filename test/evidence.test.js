@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_QUOTES, locateQuote, locateEvidence } = require('../lib/evidence');
+
+const TEXT = 'Jane Doe\nLed a team of “five” engineers —  shipping weekly.\nPython, Go';
+
+test('locateQuote finds exact quotes', () => {
+  assert.deepEqual(locateQuote(TEXT, 'Python, Go'), { start: TEXT.indexOf('Python'), end: TEXT.length });
+});
+
+test('locateQuote tolerates case, whitespace, quote marks and dashes', () => {
+  const found = locateQuote(TEXT, 'led a team of "five" engineers - shipping weekly');
+  assert.equal(TEXT.slice(found.start, found.end), 'Led a team of “five” engineers —  shipping weekly');
+});
+
+test('locateQuote ignores trailing ellipses and rejects missing or tiny quotes', () => {
+  assert.ok(locateQuote(TEXT, 'shipping weekly...'));
+  assert.equal(locateQuote(TEXT, 'managed a budget'), null);
+  assert.equal(locateQuote(TEXT, 'x.'), null);
+  assert.equal(locateQuote('', 'Python'), null);
+});
+
+test('locateEvidence tries sources in order and keeps unmatched quotes', () => {
+  const [criterion] = locateEvidence(
+    [{ name: 'Skills', evidence: ['Python, Go', 'Führung von Teams', 'Not in the resume', 'Python, Go', '  '] }],
+    [{ source: 'original', text: TEXT }, { source: 'translation', text: 'Führung von Teams' }],
+  );
+  assert.equal(criterion.name, 'Skills');
+  assert.deepEqual(criterion.evidence.map(e => e.source), ['original', 'translation', null]);
+  assert.equal(criterion.evidence[2].start, null);
+});
+
+test('locateEvidence keeps at most MAX_QUOTES quotes', () => {
+  const [criterion] = locateEvidence([{ name: 'Skills', evidence: ['Jane', 'Python', 'Go', 'engineers'] }], [{ source: 'original', text: TEXT }]);
+  assert.equal(criterion.evidence.length, MAX_QUOTES);
+  assert.deepEqual(locateEvidence([{ name: 'X', evidence: null }], [])[0].evidence, []);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fingerprintText, estimateSimilarity, normalizeText } = require('../lib/fingerprint');
+
+const RESUME = Array.from({ length: 40 }, (_, i) => `Line ${i}: built and operated services for team number ${i * 7}`).join('\n');
+
+test('normalizeText ignores case, punctuation and spacing', () => {
+  assert.equal(normalizeText('  Jane   DOE,\nEngineer!  '), 'jane doe engineer');
+});
+
+test('fingerprintText hashes formatting-only differences the same', () => {
+  const a = fingerprintText(RESUME);
+  const b = fingerprintText(RESUME.toUpperCase().replace(/\n/g, '\n\n'));
+  assert.equal(a.hash, b.hash);
+  assert.deepEqual(a.minhash, b.minhash);
+  assert.deepEqual(a.bands, b.bands);
+});
+
+test('fingerprintText produces 64 hashes in 16 bands', () => {
+  const fp = fingerprintText(RESUME);
+  assert.equal(fp.minhash.length, 64);
+  assert.equal(fp.bands.length, 16);
+  assert.match(fp.bands[0], /^0:/);
+});
+
+test('a small edit keeps near-duplicates similar and sharing bands', () => {
+  const a = fingerprintText(RESUME);
+  const b = fingerprintText(RESUME.replace('team number 70', 'team number 71'));
+  assert.notEqual(a.hash, b.hash);
+  assert.ok(estimateSimilarity(a.minhash, b.minhash) >= 0.85);
+  assert.ok(a.bands.some(band => b.bands.includes(band)));
+});
+
+test('unrelated texts are not similar', () => {
+  const a = fingerprintText(RESUME);
+  const b = fingerprintText(Array.from({ length: 40 }, (_, i) => `Completely different sentence ${i} about gardening and cooking`).join('\n'));
+  assert.ok(estimateSimilarity(a.minhash, b.minhash) < 0.2);
+});
+
+test('estimateSimilarity rejects mismatched signatures', () => {
+  assert.equal(estimateSimilarity([1, 2], [1]), 0);
+  assert.equal(estimateSimilarity(null, [1]), 0);
+  assert.equal(estimateSimilarity([], []), 0);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isJsonResume, jsonResumeToProfile, jsonResumeToText } = require('../lib/json-resume');
+
+const DOC = {
+  basics: {
+    name: 'Jane Doe', label: 'Backend Engineer', email: 'jane@example.com', phone: '555-0100',
+    url: 'https://jane.dev', summary: 'Builds payment systems.',
+    location: { city: 'Boston', region: 'MA', countryCode: 'US' },
+    profiles: [{ network: 'GitHub', url: 'https://github.com/jane' }],
+  },
+  work: [
+    { name: 'Acme', position: 'Senior Engineer', startDate: '2019-04-01', summary: 'Payments.', highlights: ['Led the team', 42] },
+    { name: 'Initech', position: 'Analyst', startDate: '2015', endDate: '2018-12' },
+  ],
+  education: [{ institution: 'State University', studyType: 'Bachelor', area: 'Computer Science', endDate: '2014-06-01' }],
+  certificates: [{ name: 'AWS Solutions Architect', issuer: 'AWS', date: '2020-01-15' }, { issuer: 'Nameless' }],
+  skills: [{ name: 'Python', keywords: ['Django', 'python'] }, { name: 'Go' }],
+  languages: [{ language: 'English', fluency: 'Native' }],
+};
+
+test('isJsonResume recognizes JSON Resume documents', () => {
+  assert.equal(isJsonResume(DOC), true);
+  assert.equal(isJsonResume({ work: [] }), true);
+  assert.equal(isJsonResume({ name: 'package' }), false);
+  assert.equal(isJsonResume([]), false);
+  assert.equal(isJsonResume(null), false);
+});
+
+test('jsonResumeToProfile maps the document onto the parser profile', () => {
+  const profile = jsonResumeToProfile(DOC);
+  assert.equal(profile.source, 'json-resume');
+  assert.deepEqual(profile.contact, {
+    name: 'Jane Doe', email: 'jane@example.com', phone: '555-0100',
+    links: ['https://jane.dev', 'https://github.com/jane'], location: 'Boston, MA, US',
+    headerLines: ['Jane Doe', 'Backend Engineer'],
+  });
+  const [acme, initech] = profile.experience;
+  assert.deepEqual(
+    [acme.title, acme.employer, acme.startDate, acme.endDate, acme.current, acme.dates, acme.highlights],
+    ['Senior Engineer', 'Acme', '2019-04', null, true, '2019-04-01 - Present', ['Led the team']],
+  );
+  assert.deepEqual([initech.startDate, initech.endDate, initech.current], ['2015', '2018-12', false]);
+  assert.deepEqual(profile.education[0], {
+    institution: 'State University', degree: 'Bachelor in Computer Science', field: 'Computer Science', startDate: null, endDate: '2014-06',
+  });
+  assert.deepEqual(profile.certifications, [{ name: 'AWS Solutions Architect', date: '2020-01', issuer: 'AWS' }]);
+  assert.deepEqual(profile.skills, ['Python', 'Django', 'Go']);
+});
+
+test('jsonResumeToText renders readable sections', () => {
+  const text = jsonResumeToText(DOC);
+  assert.match(text, /^Jane Doe\nBackend Engineer\nBoston, MA, US \| jane@example\.com \| 555-0100 \| https:\/\/jane\.dev/);
+  assert.match(text, /\nEXPERIENCE\nSenior Engineer \| Acme {4}2019-04-01 - Present\nPayments\.\n- Led the team\n/);
+  assert.match(text, /\nCERTIFICATIONS\n- AWS Solutions Architect, AWS \(2020-01\)\n/);
+  assert.match(text, /\nLANGUAGES\nEnglish \(Native\)$/);
+});
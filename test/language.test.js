@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, languageName } = require('../lib/language');
+
+test('detectLanguage identifies the language of resume text', () => {
+  assert.deepEqual(
+    detectLanguage('Software engineer with eight years of experience building payment systems and leading teams.'),
+    { code: 'en', name: 'English', confidence: 1 },
+  );
+  assert.equal(detectLanguage('Ingeniero de software con ocho años de experiencia en sistemas de pagos y equipos distribuidos.').code, 'es');
+});
+
+test('detectLanguage ignores contact details and numbers', () => {
+  const text = 'Softwareentwickler mit acht Jahren Erfahrung in Zahlungssystemen und verteilten Teams. jane@example.com +49 30 1234567 https://example.com/cv';
+  assert.equal(detectLanguage(text).code, 'de');
+  // Nothing left to detect once they are stripped
+  assert.equal(detectLanguage('Jane Doe jane@example.com 555-0100 https://jane.dev'), null);
+  assert.equal(detectLanguage(null), null);
+});
+
+test('languageName names ISO 639-1 codes and passes unknown ones through', () => {
+  assert.equal(languageName('fr'), 'French');
+  assert.equal(languageName('not a code!'), 'not a code!');
+});
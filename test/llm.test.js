@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { OPERATIONS, complete, resolveOperation, configErrors } = require('../lib/llm');
+const { PROMPTS, renderTemplate, formatCriteria } = require('../lib/prompts');
+const { validateScoreOutput } = require('../lib/scoring');
+
+const LLM_ENV = /^(LLM_|ANTHROPIC_API_KEY$|OPENAI_)/;
+
+// Runs `fn` with only the given LLM settings in the environment
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.entries(process.env).filter(([key]) => LLM_ENV.test(key)));
+  for (const key of Object.keys(saved)) delete process.env[key];
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const key of Object.keys(process.env)) if (LLM_ENV.test(key)) delete process.env[key];
+    Object.assign(process.env, saved);
+  }
+}
+
+const CRITERIA = [
+  { name: 'Skills Match', priority: 'must-have', weight: 60 },
+  { name: 'Education', priority: 'nice-to-have', weight: 40 },
+];
+
+const scorePrompt = resume => renderTemplate('score', PROMPTS.score.body, {
+  job_title: 'Backend Engineer', job_description: 'Build APIs.', criteria: formatCriteria(CRITERIA), resume,
+});
+
+test('resolveOperation applies per-operation overrides', () => withEnv({
+  LLM_PROVIDER: 'openai', LLM_MODEL: 'gpt-4o', LLM_SCORE_PROVIDER: 'anthropic', LLM_CLEAN_MODEL: 'gpt-4o-mini',
+}, () => {
+  assert.deepEqual(resolveOperation('name'), { provider: 'openai', model: 'gpt-4o' });
+  assert.deepEqual(resolveOperation('clean'), { provider: 'openai', model: 'gpt-4o-mini' });
+  // LLM_MODEL belongs to the default provider, so another provider gets its own default
+  assert.deepEqual(resolveOperation('score'), { provider: 'anthropic', model: 'claude-sonnet-4-20250514' });
+  assert.throws(() => resolveOperation('summarize'), /Unknown LLM operation: summarize/);
+}));
+
+test('configErrors reports unknown providers and missing credentials', () => withEnv({ LLM_JD_PROVIDER: 'local' }, () => {
+  assert.deepEqual(configErrors(), [
+    'Unknown LLM provider "local" for jd (use anthropic, openai or fake)',
+    'ANTHROPIC_API_KEY environment variable is not set (create a .env file with ANTHROPIC_API_KEY=your-key-here)',
+  ]);
+  return withEnv({ LLM_PROVIDER: 'fake' }, () => assert.deepEqual(configErrors(), []));
+}));
+
+test('the fake provider answers every operation deterministically', () => withEnv({ LLM_PROVIDER: 'fake' }, async () => {
+  const resume = 'Jane Doe\nBuilt payment APIs in Python for eight years.\nBSc Computer Science, 2014';
+  const first = await complete('score', { prompt: scorePrompt(resume), maxTokens: 100 });
+  const again = await complete('score', { prompt: scorePrompt(resume), maxTokens: 100 });
+  assert.equal(first.text, again.text);
+  assert.deepEqual([first.provider, first.model], ['fake', 'fake-1']);
+  assert.ok(first.usage.inputTokens > 0 && first.usage.outputTokens > 0);
+
+  const { errors, value } = validateScoreOutput(JSON.parse(first.text), CRITERIA);
+  assert.deepEqual(errors, []);
+  for (const c of value.criteria) assert.ok(resume.includes(c.evidence[0]), c.evidence[0]);
+
+  const name = await complete('name', { prompt: renderTemplate('name', PROMPTS.name.body, { resume }), maxTokens: 10 });
+  assert.equal(name.text, 'Jane Doe');
+  for (const operation of OPERATIONS) {
+    const prompt = renderTemplate(operation, PROMPTS[operation].body, { resume, title: 'Engineer', language: 'Spanish' });
+    assert.equal(typeof (await complete(operation, { prompt, maxTokens: 10 })).text, 'string');
+  }
+}));
+
+test('the openai provider calls /chat/completions and reports HTTP errors with their status', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      requests.push({ url: req.url, auth: req.headers.authorization, payload });
+      res.setHeader('Content-Type', 'application/json');
+      if (payload.model === 'missing') {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ error: { message: 'No such model' } }));
+      }
+      res.end(JSON.stringify({ choices: [{ message: { content: '  {"ok": true}\n' } }], usage: { prompt_tokens: 12, completion_tokens: 3 } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+  try {
+    await withEnv({ LLM_PROVIDER: 'openai', LLM_MODEL: 'local-model', OPENAI_BASE_URL: baseUrl, OPENAI_API_KEY: 'secret' }, async () => {
+      const schema = { name: 'answer', description: 'An answer', parameters: { type: 'object' } };
+      const result = await complete('jd', { prompt: 'Hi', maxTokens: 50, schema });
+      assert.deepEqual(
+        [result.text, result.data, result.provider, result.model, result.usage],
+        ['{"ok": true}', { ok: true }, 'openai', 'local-model', { inputTokens: 12, outputTokens: 3 }],
+      );
+      assert.equal(requests[0].url, '/v1/chat/completions');
+      assert.equal(requests[0].auth, 'Bearer secret');
+      assert.deepEqual(requests[0].payload.messages, [{ role: 'user', content: 'Hi' }]);
+      assert.equal(requests[0].payload.response_format.json_schema.name, 'answer');
+
+      process.env.LLM_MODEL = 'missing';
+      await assert.rejects(() => complete('jd', { prompt: 'Hi', maxTokens: 50 }), { status: 404, message: 'No such model' });
+    });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { markdownToText } = require('../lib/markdown');
+
+test('markdownToText strips headings, links, bullets and emphasis', () => {
+  const md = '# Jane Doe\n\n**Skills:** *Python*, __Go__ and _Rust_\n\n* Led [the team](https://example.com)\n> Quote\n\n---\n`code`';
+  assert.equal(markdownToText(md), 'Jane Doe\n\nSkills: Python, Go and Rust\n\n- Led the team (https://example.com)\nQuote\n\ncode');
+});
+
+test('markdownToText keeps underscores and asterisks inside words', () => {
+  assert.equal(markdownToText('Email: john_doe_smith@example.com'), 'Email: john_doe_smith@example.com');
+  assert.equal(markdownToText('Wrote snake_case_names and my_var_2 in foo_bar.py'), 'Wrote snake_case_names and my_var_2 in foo_bar.py');
+  assert.equal(markdownToText('Grew revenue 2 * 3 * 4 times'), 'Grew revenue 2 * 3 * 4 times');
+});
+
+test('markdownToText keeps mailto links readable', () => {
+  assert.equal(markdownToText('[jane@example.com](mailto:jane@example.com)'), 'jane@example.com');
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PROMPTS, PROMPT_NAMES, templateVariables, validateTemplate, renderTemplate, formatCriteria } = require('../lib/prompts');
+
+test('every built-in prompt is a valid template', () => {
+  for (const name of PROMPT_NAMES) {
+    assert.deepEqual(validateTemplate(name, PROMPTS[name].body), [], name);
+  }
+});
+
+test('templateVariables lists variables once, in order of use', () => {
+  assert.deepEqual(templateVariables('{{ resume }} {{job_title}} {{resume}}'), ['resume', 'job_title']);
+});
+
+test('validateTemplate reports empty bodies, unknown and missing variables', () => {
+  assert.deepEqual(validateTemplate('name', '  '), ['Template cannot be empty']);
+  assert.deepEqual(validateTemplate('name', 'Name of {{candidate}}'), [
+    'Unknown variable {{candidate}} (available: {{resume}})',
+    'Template must include {{resume}}',
+  ]);
+  assert.match(validateTemplate('name', '{{resume}}'.padEnd(20001, ' '))[0], /longer than 20000 characters/);
+});
+
+test('renderTemplate fills in values without expanding placeholders inside them', () => {
+  const prompt = renderTemplate('translate', 'From {{language}}:\n{{resume}}', { language: 'Spanish', resume: 'Hola {{language}}' });
+  assert.equal(prompt, 'From Spanish:\nHola {{language}}');
+  assert.equal(renderTemplate('translate', '[{{language}}]', {}), '[]');
+});
+
+test('renderTemplate cuts values to the prompt maxLength', () => {
+  const prompt = renderTemplate('name', '{{resume}}', { resume: 'x'.repeat(5000) });
+  assert.equal(prompt.length, PROMPTS.name.maxLength.resume);
+});
+
+test('formatCriteria numbers criteria with priority and weight', () => {
+  assert.equal(
+    formatCriteria([{ name: 'Skills', priority: 'must-have', weight: 60 }, { name: 'Education', weight: 40 }]),
+    '1. "Skills" (must-have, weight: 60%)\n2. "Education" (weight: 40%)',
+  );
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redactText, redactProfile, viewBlindRecord } = require('../lib/redact');
+
+const RESUME = `Jane Doe
+jane.doe@example.com | +1 (555) 123-4567 | linkedin.com/in/janedoe
+12 Baker Street
+She led the team of five engineers.
+Date of birth: 1 May 1990
+
+Education
+BSc Computer Science, State University, 2012`;
+
+test('redactText replaces identifiers with typed placeholders', () => {
+  const { text } = redactText(RESUME, { names: ['Jane Doe'] });
+  assert.equal(text.split('\n')[0], '[NAME]');
+  assert.match(text, /\[EMAIL\] \| \[PHONE\] \| \[LINK\]/);
+  assert.match(text, /^\[ADDRESS\]$/m);
+  assert.match(text, /Date of birth: \[DATE OF BIRTH\]/);
+  assert.match(text, /State University, \[YEAR\]/);
+  for (const value of ['Jane', 'Doe', 'jane.doe@example.com', '555', 'Baker', '1990', '2012']) {
+    assert.ok(!text.includes(value), `"${value}" was not redacted`);
+  }
+});
+
+test('redactText neutralizes gendered pronouns', () => {
+  assert.equal(redactText('She led the team. Her work shipped.').text, 'They led the team. Their work shipped.');
+});
+
+test('redactText returns each redacted value once', () => {
+  const { redactions } = redactText('Jane Doe\nContact Jane at jane@example.com or jane@example.com', { names: ['Jane Doe'] });
+  assert.deepEqual(redactions.filter(r => r.type === 'email'), [{ type: 'email', value: 'jane@example.com' }]);
+  assert.ok(redactions.some(r => r.type === 'name' && r.value === 'Jane Doe'));
+});
+
+test('redactText matches name parts case-sensitively', () => {
+  const { text } = redactText('Sam Young\nMentored young engineers', { names: ['Sam Young'] });
+  assert.equal(text, '[NAME]\nMentored young engineers');
+});
+
+test('redactText ignores the "Unknown Candidate" placeholder name', () => {
+  assert.equal(redactText('Unknown territory', { names: ['Unknown Candidate'] }).text, 'Unknown territory');
+});
+
+test('redactText does not take year ranges for phone numbers', () => {
+  assert.equal(redactText('Engineer, Acme 2015 - 2019').text, 'Engineer, Acme 2015 - 2019');
+});
+
+test('redactProfile drops contact details and education dates', () => {
+  const profile = {
+    contact: { name: 'Jane Doe', email: 'jane@example.com', phone: null, links: [], location: 'Paris', headerLines: ['Jane Doe'] },
+    summary: 'Jane Doe is an engineer.',
+    experience: [{ title: 'Engineer', highlights: ['Jane Doe shipped it'] }],
+    education: [{ institution: 'State University', startDate: '2008', endDate: '2012' }],
+  };
+  const redacted = redactProfile(profile, { names: ['Jane Doe'] });
+  assert.equal(redacted.contact.name, null);
+  assert.equal(redacted.contact.location, null);
+  assert.equal(redacted.summary, '[NAME] is an engineer.');
+  assert.deepEqual(redacted.experience[0].highlights, ['[NAME] shipped it']);
+  assert.equal(redacted.education[0].endDate, null);
+  assert.equal(redactProfile(null), null);
+});
+
+test('viewBlindRecord keeps a candidate hidden from sessions that never scored them', async () => {
+  const hidden = { blind: { label: 'Candidate AB12C', revealed_at: null } };
+  const findHidden = async () => hidden;
+  const open = { score: 70, blind: null };
+  // A bogus session (or run) has no evaluation of the resume
+  assert.equal(await viewBlindRecord({ sessionId: 'x', evaluation: null, findHidden }), hidden.blind);
+  assert.equal(await viewBlindRecord({ sessionId: null, evaluation: open, findHidden }), hidden.blind);
+  // A session that scored the resume openly shows it as it is there
+  assert.equal(await viewBlindRecord({ sessionId: 'open', evaluation: open, findHidden }), null);
+  assert.equal(await viewBlindRecord({ sessionId: 'x', evaluation: null, findHidden: async () => null }), null);
+});
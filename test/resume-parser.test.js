@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseResume, detectSection, PARSER_VERSION } = require('../lib/resume-parser');
+
+const RESUME = `Jane Doe
+jane.doe@example.com | +1 (555) 123-4567 | linkedin.com/in/janedoe
+
+Summary
+Backend engineer with eight years of experience.
+
+Experience
+Senior Software Engineer | Acme Corp | Boston, MA
+Jan 2019 - Present
+- Led the payments team
+- Cut latency by 40%
+Data Analyst at Initech
+03/2015 – 12/2018
+• Built reports
+
+Education
+Bachelor of Science in Computer Science
+State University, 2014
+
+Certifications
+AWS Certified Solutions Architect (2020)
+
+Skills
+Languages: Python, Go, SQL
+Docker; Kubernetes | python`;
+
+test('detectSection recognizes headings, not content', () => {
+  assert.equal(detectSection('WORK EXPERIENCE:'), 'experience');
+  assert.equal(detectSection('Technical Skills'), 'skills');
+  assert.equal(detectSection('Education & Training'), 'education');
+  assert.equal(detectSection('Led the payments team'), null);
+});
+
+test('parseResume reads contact details from the header', () => {
+  const { source, parserVersion, contact, summary } = parseResume(RESUME);
+  assert.equal(source, 'parser');
+  assert.equal(parserVersion, PARSER_VERSION);
+  assert.equal(contact.name, 'Jane Doe');
+  assert.equal(contact.email, 'jane.doe@example.com');
+  assert.equal(contact.phone, '+1 (555) 123-4567');
+  assert.deepEqual(contact.links, ['linkedin.com/in/janedoe']);
+  assert.equal(summary, 'Backend engineer with eight years of experience.');
+});
+
+test('parseResume splits work history into dated entries', () => {
+  const [acme, initech] = parseResume(RESUME).experience;
+  assert.deepEqual(
+    [acme.title, acme.employer, acme.location, acme.startDate, acme.endDate, acme.current],
+    ['Senior Software Engineer', 'Acme Corp', 'Boston, MA', '2019-01', null, true],
+  );
+  assert.deepEqual(acme.highlights, ['Led the payments team', 'Cut latency by 40%']);
+  assert.deepEqual(
+    [initech.title, initech.employer, initech.startDate, initech.endDate, initech.current],
+    ['Data Analyst', 'Initech', '2015-03', '2018-12', false],
+  );
+});
+
+test('parseResume reads education, certifications and deduplicated skills', () => {
+  const { education, certifications, skills } = parseResume(RESUME);
+  assert.deepEqual(education, [{
+    institution: 'State University', degree: 'Bachelor of Science in Computer Science', field: 'Computer Science', startDate: null, endDate: '2014',
+  }]);
+  assert.deepEqual(certifications, [{ name: 'AWS Certified Solutions Architect', date: '2020' }]);
+  assert.deepEqual(skills, ['Python', 'Go', 'SQL', 'Docker', 'Kubernetes']);
+});
+
+test('parseResume handles empty text', () => {
+  const profile = parseResume('');
+  assert.equal(profile.contact.name, null);
+  assert.deepEqual([profile.experience, profile.education, profile.skills], [[], [], []]);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withRetry, isRetryable } = require('../lib/retry');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+test('isRetryable accepts rate limits, overload and dropped connections only', () => {
+  assert.equal(isRetryable(httpError(429)), true);
+  assert.equal(isRetryable(httpError(529)), true);
+  assert.equal(isRetryable(httpError(400)), false);
+  assert.equal(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryable(new Error('bug')), false);
+  assert.equal(isRetryable(null), false);
+});
+
+test('withRetry retries retryable errors, honouring retry-after-ms', async () => {
+  let calls = 0;
+  const waits = [];
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw httpError(429, { 'retry-after-ms': '1' });
+    return 'ok';
+  }, { onRetry: ({ attempt, delayMs }) => waits.push({ attempt, delayMs }) });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.deepEqual(waits.map(w => w.attempt), [1, 2]);
+  assert.ok(waits.every(w => w.delayMs >= 1 && w.delayMs <= 251));
+});
+
+test('withRetry gives up on non-retryable errors and when retries run out', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => { calls++; throw httpError(400); }), /HTTP 400/);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => { calls++; throw httpError(503, { 'retry-after-ms': '0' }); }, { retries: 2 }), /HTTP 503/);
+  assert.equal(calls, 3);
+});
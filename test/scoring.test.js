@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_CRITERIA, validateCriteria, validateScoreOutput, weightedTotal, failedGates, combineRuns, scoreRange,
+} = require('../lib/scoring');
+
+const REQUESTED = [
+  { name: 'Skills Match', priority: 'must-have', weight: 60 },
+  { name: 'Education', priority: 'nice-to-have', weight: 40 },
+];
+
+const output = (overrides = {}) => ({
+  criteria: [
+    { name: 'skills  match', weight: 60, score: 80, reasoning: 'Strong.', evidence: ['Python'] },
+    { name: 'Education', weight: 40, score: 50, reasoning: 'Some.', evidence: [] },
+  ],
+  total: 70,
+  reasoning: 'Good fit.',
+  ...overrides,
+});
+
+test('validateCriteria accepts valid criteria', () => {
+  assert.deepEqual(validateCriteria(REQUESTED), []);
+});
+
+test('validateCriteria reports bad names, priorities, weights and sums', () => {
+  assert.deepEqual(validateCriteria('x'), ['Criteria must be an array']);
+  assert.deepEqual(validateCriteria([]), ['At least one criterion is required']);
+  assert.deepEqual(validateCriteria([
+    { name: 'A', priority: 'must-have', weight: 50 },
+    { name: ' a ', priority: 'optional', weight: 0.5 },
+  ]), [
+    'Criterion "a" is listed more than once',
+    'Criterion "a" needs a priority of must-have or nice-to-have',
+    'Criterion "a" needs an integer weight from 1 to 100',
+  ]);
+  assert.deepEqual(validateCriteria([{ name: 'A', priority: 'must-have', weight: 90 }]), ['Criterion weights must add up to 100 (they add up to 90)']);
+});
+
+test('weightedTotal is the rounded weighted average', () => {
+  assert.equal(weightedTotal([{ score: 80, weight: 60 }, { score: 50, weight: 40 }]), 68);
+  assert.equal(weightedTotal([{ score: 80, weight: 0 }]), 0);
+  assert.equal(weightedTotal(DEFAULT_CRITERIA.map(c => ({ ...c, score: 40 }))), 40);
+});
+
+test('validateScoreOutput maps the output onto the requested criteria', () => {
+  const { errors, value } = validateScoreOutput(output(), REQUESTED);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.criteria.map(c => [c.name, c.weight, c.score]), [['Skills Match', 60, 80], ['Education', 40, 50]]);
+  assert.equal(value.total, 70);
+});
+
+test('validateScoreOutput rejects malformed responses', () => {
+  assert.deepEqual(validateScoreOutput([], REQUESTED).errors, ['Response is not a JSON object']);
+  assert.deepEqual(validateScoreOutput(output({ total: 101, reasoning: '' }), REQUESTED).errors, [
+    '"total" must be a number from 0 to 100',
+    '"reasoning" must be a non-empty string',
+  ]);
+});
+
+test('validateScoreOutput reports missing, extra and wrongly weighted criteria', () => {
+  const { errors, value } = validateScoreOutput(output({
+    criteria: [
+      { name: 'Skills Match', weight: 50, score: 80, reasoning: 'Strong.', evidence: 'Python' },
+      { name: 'Culture Fit', weight: 40, score: 50, reasoning: 'Some.', evidence: [] },
+    ],
+  }), REQUESTED);
+  assert.equal(value, null);
+  assert.deepEqual(errors, [
+    'Criterion "Skills Match" must have weight 60, got 50',
+    'Criterion "Skills Match" needs "evidence" as an array of quotes (strings)',
+    'Missing criterion "Education"',
+    'Unexpected criterion "Culture Fit" (only the listed criteria may be scored)',
+  ]);
+});
+
+test('failedGates lists must-have criteria under the threshold', () => {
+  const scored = [{ name: 'Skills Match', score: 40 }, { name: 'Education', score: 10 }];
+  assert.deepEqual(failedGates(scored, REQUESTED, 50), [{ name: 'Skills Match', score: 40 }]);
+  assert.deepEqual(failedGates(scored, REQUESTED, 40), []);
+  assert.deepEqual(failedGates(scored, null, 50), []);
+});
+
+const run = (scores, total) => ({
+  score: total,
+  claimedTotal: total,
+  reasoning: `Run totalling ${total}`,
+  subScores: {
+    criteria: scores.map((score, i) => ({ name: REQUESTED[i].name, weight: REQUESTED[i].weight, score, reasoning: `${score}`, evidence: [] })),
+    total,
+  },
+});
+
+test('combineRuns returns a single run unchanged', () => {
+  const single = run([80, 50], 68);
+  assert.equal(combineRuns([single]), single);
+  assert.equal(scoreRange(single.subScores), null);
+});
+
+test('combineRuns takes the median per criterion', () => {
+  const combined = combineRuns([run([80, 50], 68), run([90, 60], 78), run([70, 40], 58)]);
+  assert.deepEqual(combined.subScores.criteria.map(c => c.score), [80, 50]);
+  assert.deepEqual(combined.subScores.criteria[0].range, { min: 70, max: 90 });
+  assert.equal(combined.score, 68);
+  assert.equal(combined.reasoning, 'Run totalling 68');
+  assert.deepEqual(scoreRange(combined.subScores), { min: 58, max: 78, runs: 3 });
+});
+
+test('combineRuns keeps the combined score inside the range', () => {
+  const criterion = (name, weight, score) => ({ name, weight, score, reasoning: '', evidence: [] });
+  const threeWay = (a, b, c) => {
+    const criteria = [criterion('A', 34, a), criterion('B', 33, b), criterion('C', 33, c)];
+    const total = weightedTotal(criteria);
+    return { score: total, claimedTotal: total, reasoning: '', subScores: { criteria, total } };
+  };
+  const combined = combineRuns([threeWay(100, 100, 0), threeWay(100, 0, 100), threeWay(0, 100, 100)]);
+  assert.deepEqual(combined.subScores.ensemble.totals, [67, 67, 66]);
+  assert.equal(combined.score, 100);
+  assert.deepEqual(scoreRange(combined.subScores), { min: 66, max: 100, runs: 3 });
+});
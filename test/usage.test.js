@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { priceFor, callCost } = require('../lib/usage');
+
+test('priceFor matches exact names, then the longest prefix', () => {
+  assert.deepEqual(priceFor('gpt-4o-mini'), { input: 0.15, output: 0.6 });
+  assert.deepEqual(priceFor('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+  assert.deepEqual(priceFor('gpt-4o-2024-08-06'), { input: 2.5, output: 10 });
+  assert.equal(priceFor('my-local-model'), null);
+  assert.equal(priceFor(null), null);
+});
+
+test('callCost is USD per million tokens, null when unknown', () => {
+  assert.equal(callCost('claude-sonnet-4-20250514', 1_000_000, 100_000), 4.5);
+  assert.equal(callCost('my-local-model', 10, 10), null);
+  assert.equal(callCost('gpt-4o', null, 10), null);
+});